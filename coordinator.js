@@ -57,8 +57,14 @@ function onOpen(e) {
         .addItem('🔬 Dimensional Health (PRO)', 'runDimensionalHealthCheck')
         .addItem('📚 Data Inventory (PRO)', 'runDataInventory')
       )
+      .addSubMenu(SpreadsheetApp.getUi().createMenu('🏷️ GTM Tools')
+        .addItem('Compare GTM Versions', 'runGTMVersionDiffWithUI')
+        .addItem('Compare GTM Containers', 'runGTMCompareWithUI')
+        .addItem('Generate Tag Dictionary', 'runGTMTagDictionaryWithUI')
+      )
       .addSubMenu(SpreadsheetApp.getUi().createMenu('🛡️ Governance')
         .addItem('User Access Audit', 'runUserAccessAudit')
+        .addItem('GTM User Access Audit', 'runGTMUserAccessAudit')
         .addItem('🧟 Zombie Hunter', 'runZombieHunter')
       )
       .addSubMenu(SpreadsheetApp.getUi().createMenu('Troubleshooting')
@@ -269,7 +275,13 @@ function readUserConfiguration() {
       isPro: true, // All users have complete access
 
       // BigQuery Configuration
-      bqTableDateRange: userProperties.getProperty('ADDOCU_BQ_TABLE_DATE_RANGE') || '30'
+      bqTableDateRange: userProperties.getProperty('ADDOCU_BQ_TABLE_DATE_RANGE') || '30',
+
+      // GTM Workspace Hygiene
+      gtmStaleWorkspaceDays: userProperties.getProperty('ADDOCU_GTM_STALE_WORKSPACE_DAYS') || '30',
+
+      // GA4 Inventory Refresh
+      ga4InventoryRefreshHours: userProperties.getProperty('ADDOCU_GA4_INVENTORY_REFRESH_HOURS') || '24'
     };
 
     return config;
@@ -394,6 +406,16 @@ function saveUserConfiguration(config) {
       logEvent('CONFIG', `BigQuery table date range set to: ${config.bqTableDateRange}`);
     }
 
+    // Save GTM stale workspace threshold
+    if (config.gtmStaleWorkspaceDays !== undefined) {
+      userProperties.setProperty('ADDOCU_GTM_STALE_WORKSPACE_DAYS', config.gtmStaleWorkspaceDays.toString());
+    }
+
+    // Save GA4 inventory refresh interval
+    if (config.ga4InventoryRefreshHours !== undefined) {
+      userProperties.setProperty('ADDOCU_GA4_INVENTORY_REFRESH_HOURS', config.ga4InventoryRefreshHours.toString());
+    }
+
     // Save incremental audit enabled setting
     if (config.incrementalAuditEnabled !== undefined) {
       userProperties.setProperty('ADDOCU_INCREMENTAL_AUDIT_ENABLED', config.incrementalAuditEnabled.toString());
@@ -2566,7 +2588,7 @@ function syncGTMCore_Internal() {
       logWarning('GTM', 'No accessible GTM containers found');
 
       // ALWAYS create GTM sheets, even without containers
-      const emptyData = { tags: [], variables: [], triggers: [] };
+      const emptyData = createEmptyGTMData();
       writeAggregatedGTMData(emptyData);
 
       const duration = Date.now() - startTime;
@@ -2586,7 +2608,7 @@ function syncGTMCore_Internal() {
       logWarning('GTM', 'No containers to process after filtering');
 
       // ALWAYS create GTM sheets, even without filtered containers
-      const emptyData = { tags: [], variables: [], triggers: [] };
+      const emptyData = createEmptyGTMData();
       writeAggregatedGTMData(emptyData);
 
       const duration = Date.now() - startTime;
@@ -2625,7 +2647,7 @@ function syncGTMCore_Internal() {
 
     // Try to create empty sheets as fallback in case of error
     try {
-      const emptyData = { tags: [], variables: [], triggers: [] };
+      const emptyData = createEmptyGTMData();
       writeAggregatedGTMData(emptyData);
       logWarning('GTM', 'GTM sheets created as fallback after error');
     } catch (fallbackError) {
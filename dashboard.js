@@ -336,27 +336,13 @@ function analyzeGA4Quality() {
       return { score: 0, issues: ['No GA4 data available'] };
     }
 
-    const issues = [];
-    let score = 100;
-
-    const data = propertiesSheet.getDataRange().getValues();
-    const headers = data.shift();
-
-    // Basic quality checks
-    const propertiesWithoutTimezone = data.filter(row => !row[6] || row[6] === 'N/A').length; // Time Zone column
-    const propertiesWithoutCurrency = data.filter(row => !row[5] || row[5] === 'N/A').length; // Currency Code column
-
-    if (propertiesWithoutTimezone > 0) {
-      issues.push(`${propertiesWithoutTimezone} properties without timezone`);
-      score -= (propertiesWithoutTimezone / data.length) * 10;
-    }
-
-    if (propertiesWithoutCurrency > 0) {
-      issues.push(`${propertiesWithoutCurrency} properties without currency`);
-      score -= (propertiesWithoutCurrency / data.length) * 10;
+    // Checks come from the GA4_SCORECARD_BASELINE sheet (see ga4_scorecard.js)
+    const summary = getGA4ScorecardSummary();
+    if (!summary) {
+      return { score: 0, issues: ['No GA4 scorecard available - run the GA4 audit'] };
     }
 
-    return { score: Math.max(0, score), issues: issues };
+    return { score: Math.max(0, summary.score), issues: summary.issues };
 
   } catch (error) {
     logError('DASHBOARD_V3', `Error analyzing GA4 quality: ${error.message}`);
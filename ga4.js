@@ -27,11 +27,20 @@ const GA4_STREAMS_HEADERS = [
   'Measurement ID / Package / Bundle', 'Firebase App ID', 'Default URI', 'Stream Created',
   'Stream Updated', 'Property Created', 'Property Updated', 'Notes'
 ];
+const GA4_KEY_EVENTS_HEADERS = [
+  'Property Name', 'Property ID', 'Event Name', 'Counting Method', 'Default Value', 'Currency',
+  'Create Time', 'Custom', 'Deletable', 'Property Created', 'Property Updated', 'Notes'
+];
 const GA4_CHANGE_HISTORY_HEADERS = [
   'Change Time', 'Property Name', 'Property ID', 'Actor Email', 'Actor Type',
   'Action', 'Resource Type', 'Resource Name', 'Changes', 'Notes'
 ];
 
+// Incremental runs without new properties refetch the all-property inventories at most this often
+const GA4_DEFAULT_INVENTORY_REFRESH_HOURS = 24;
+// Time from the start of the sync after which the inventories stop and write what they have
+const GA4_INVENTORY_TIME_BUDGET_MS = 4 * 60 * 1000;
+
 // =================================================================
 // SYNCHRONIZATION FUNCTIONS (EXECUTABLE FROM MENU)
 // =================================================================
@@ -41,9 +50,9 @@ function syncGA4WithUI() {
   const ui = SpreadsheetApp.getUi();
   if (result.status === 'SUCCESS') {
     const details = result.details;
-    const body = `Properties: ${details.properties} | Dimensions: ${details.dimensions} | Metrics: ${details.metrics} | Streams: ${details.streams}\n\n` +
+    const body = `Properties: ${details.properties} | Dimensions: ${details.dimensions} | Metrics: ${details.metrics} | Streams: ${details.streams} | Key Events: ${details.keyEvents} | Audiences: ${details.audiences} | Links: ${details.links} | Settings: ${details.settings}\n\n` +
       `Total: ${result.records} elements | Time: ${Math.round(result.duration / 1000)}s\n\n` +
-      `Data written to GA4_PROPERTIES, GA4_CUSTOM_DIMENSIONS, GA4_CUSTOM_METRICS, GA4_DATA_STREAMS.`;
+      `Data written to GA4_PROPERTIES, GA4_CUSTOM_DIMENSIONS, GA4_CUSTOM_METRICS, GA4_DATA_STREAMS, GA4_KEY_EVENTS, GA4_AUDIENCES, GA4_LINKS, GA4_PROPERTY_SETTINGS, GA4_SCORECARD.`;
     ui.alert('GA4 Synchronized', body, ui.ButtonSet.OK);
   } else {
     const body = `Synchronization failed: ${result.error}\n\n` +
@@ -73,7 +82,7 @@ function syncGA4Core(options = {}) {
   const forceFullAudit = options.forceFullAudit || false;
   const incrementalEnabled = options.incrementalEnabled !== false;
 
-  const results = { properties: 0, dimensions: 0, metrics: 0, streams: 0, changes: 0 };
+  const results = { properties: 0, settings: 0, dimensions: 0, metrics: 0, streams: 0, keyEvents: 0, audiences: 0, links: 0, changes: 0 };
 
   try {
     getAuthConfig(serviceName); // Only to verify that the service is enabled
@@ -89,18 +98,36 @@ function syncGA4Core(options = {}) {
 
     // 1. GET ACCOUNTS AND PROPERTIES
     logEvent('GA4', `Phase 1: Extracting ${isIncremental ? 'new' : 'all'} accounts and properties...`);
-    let properties = getGA4AccountsAndProperties();
+    const allProperties = getGA4AccountsAndProperties();
+    let properties = allProperties;
 
     // Filter by timestamp if incremental
     if (isIncremental && lastSyncTime) {
-      const newProperties = properties.filter(p => {
+      const newProperties = allProperties.filter(p => {
         const createdTime = new Date(p.property.createTime || 0);
         return createdTime > lastSyncTime;
       });
-      logEvent('GA4', `Filtered: ${properties.length} total properties → ${newProperties.length} new properties since last sync`);
+      logEvent('GA4', `Filtered: ${allProperties.length} total properties → ${newProperties.length} new properties since last sync`);
       properties = newProperties;
     }
 
+    // Inventories rewritten for all properties: existing properties gain and lose these too.
+    // Incremental runs without new properties skip the ones refreshed within the refresh interval
+    const inventoryContext = {
+      properties: allProperties,
+      isIncremental,
+      hasNewProperties: properties.length > 0,
+      deadline: startTime + GA4_INVENTORY_TIME_BUDGET_MS
+    };
+
+    // Fetched before the new properties are processed, which take their retention columns from it
+    logEvent('GA4', 'Phase 1b: Extracting property settings...');
+    const propertySettings = syncGA4Inventory({
+      resourceType: 'PropertySettings', label: 'Property Settings', sheetName: 'GA4_PROPERTY_SETTINGS',
+      headers: GA4_PROPERTY_SETTINGS_HEADERS, fetch: fetchGA4PropertySettings
+    }, inventoryContext);
+    results.settings = propertySettings ? propertySettings.length : 0;
+
     if (properties.length > 0) {
       const processedProperties = properties.map(p => processGA4Property(p.property, p.account));
       const appendResult = appendNewRecords('GA4_PROPERTIES', processedProperties, {
@@ -112,6 +139,34 @@ function syncGA4Core(options = {}) {
       logEvent('GA4', 'No new properties to sync');
     }
 
+    // Properties audited before keep their GA4_PROPERTIES row, so their retention is refreshed in place
+    if (propertySettings) {
+      const retentionUpdated = updateGA4PropertiesRetention(propertySettings);
+      logEvent('GA4', `Properties: retention of ${retentionUpdated} rows updated`);
+    }
+
+    // 2. INVENTORIES REWRITTEN FOR ALL PROPERTIES
+    logEvent('GA4', 'Phase 2: Extracting key events...');
+    const keyEvents = syncGA4Inventory({
+      resourceType: 'KeyEvents', label: 'Key Events', sheetName: 'GA4_KEY_EVENTS', headers: GA4_KEY_EVENTS_HEADERS,
+      fetch: (props, deadline) => getGA4SubResources(props, 'keyEvents', processGA4KeyEvent, deadline)
+    }, inventoryContext);
+    results.keyEvents = keyEvents ? keyEvents.length : 0;
+
+    logEvent('GA4', 'Phase 3: Extracting audiences...');
+    const audiences = syncGA4Inventory({
+      resourceType: 'Audiences', label: 'Audiences', sheetName: 'GA4_AUDIENCES', headers: GA4_AUDIENCES_HEADERS,
+      fetch: fetchGA4Audiences
+    }, inventoryContext);
+    results.audiences = audiences ? audiences.length : 0;
+
+    logEvent('GA4', 'Phase 4: Extracting product links...');
+    const links = syncGA4Inventory({
+      resourceType: 'Links', label: 'Links', sheetName: 'GA4_LINKS', headers: GA4_LINKS_HEADERS,
+      fetch: fetchGA4Links
+    }, inventoryContext);
+    results.links = links ? links.length : 0;
+
     // If incremental and no new properties, skip sub-resources
     if (isIncremental && properties.length === 0) {
       logEvent('GA4', 'Skipping sub-resources (no new properties)');
@@ -121,9 +176,12 @@ function syncGA4Core(options = {}) {
       recordSyncState('GA4', 'Streams', 0, 'SUCCESS', 'INCREMENTAL');
       recordSyncState('GA4', 'ChangeHistory', 0, 'SUCCESS', 'INCREMENTAL');
 
+      // The baseline may have changed since the last audit
+      writeGA4Scorecard();
+
       const duration = Date.now() - startTime;
       return {
-        records: 0,
+        records: Object.values(results).reduce((sum, count) => sum + count, 0),
         status: 'SUCCESS',
         duration: duration,
         details: results,
@@ -132,8 +190,8 @@ function syncGA4Core(options = {}) {
       };
     }
 
-    // 2. GET SUB-RESOURCES (only for new/all properties)
-    logEvent('GA4', 'Phase 2: Extracting custom dimensions...');
+    // 3. GET SUB-RESOURCES (only for new/all properties)
+    logEvent('GA4', 'Phase 5: Extracting custom dimensions...');
     const dimensions = getGA4SubResources(properties, 'customDimensions', processGA4Dimension);
     if (dimensions.length > 0) {
       const appendDimResult = appendNewRecords('GA4_CUSTOM_DIMENSIONS', dimensions, {
@@ -143,7 +201,7 @@ function syncGA4Core(options = {}) {
       logEvent('GA4', `Dimensions: ${appendDimResult.status} - ${appendDimResult.recordsAppended} appended`);
     }
 
-    logEvent('GA4', 'Phase 3: Extracting custom metrics...');
+    logEvent('GA4', 'Phase 6: Extracting custom metrics...');
     const metrics = getGA4SubResources(properties, 'customMetrics', processGA4Metric);
     if (metrics.length > 0) {
       const appendMetResult = appendNewRecords('GA4_CUSTOM_METRICS', metrics, {
@@ -153,7 +211,7 @@ function syncGA4Core(options = {}) {
       logEvent('GA4', `Metrics: ${appendMetResult.status} - ${appendMetResult.recordsAppended} appended`);
     }
 
-    logEvent('GA4', 'Phase 4: Extracting data streams...');
+    logEvent('GA4', 'Phase 7: Extracting data streams...');
     const streams = getGA4SubResources(properties, 'dataStreams', processGA4Stream);
     if (streams.length > 0) {
       const appendStreamResult = appendNewRecords('GA4_DATA_STREAMS', streams, {
@@ -163,9 +221,9 @@ function syncGA4Core(options = {}) {
       logEvent('GA4', `Streams: ${appendStreamResult.status} - ${appendStreamResult.recordsAppended} appended`);
     }
 
-    // 3. GET CHANGE HISTORY (Phase 5 - New)
+    // 4. GET CHANGE HISTORY (Phase 8)
     // We fetch this for ALL properties in the list, as changes happen independently of property creation
-    logEvent('GA4', 'Phase 5: Extracting change history (last 30 days)...');
+    logEvent('GA4', 'Phase 8: Extracting change history (last 30 days)...');
     const changeHistory = fetchGA4ChangeHistory(properties, processGA4Change);
     if (changeHistory.length > 0) {
       // Always overwrite Change History (or append if you prefer, but history lists can get long)
@@ -187,6 +245,10 @@ function syncGA4Core(options = {}) {
     recordSyncState('GA4', 'Streams', results.streams, 'SUCCESS', isIncremental ? 'INCREMENTAL' : 'FULL');
     recordSyncState('GA4', 'ChangeHistory', results.changes, 'SUCCESS', isIncremental ? 'INCREMENTAL' : 'FULL');
 
+    // Scored last: the scorecard reads the GA4 sheets written above
+    logEvent('GA4', 'Phase 9: Scoring properties against the baseline...');
+    writeGA4Scorecard();
+
     const totalElements = Object.values(results).reduce((sum, count) => sum + count, 0);
     const duration = Date.now() - startTime;
     logSyncEnd('GA4_Complete', totalElements, duration, 'SUCCESS');
@@ -234,6 +296,79 @@ function syncGA4Core(options = {}) {
   }
 }
 
+// =================================================================
+// ALL-PROPERTY INVENTORIES (REFRESH INTERVAL AND TIME BUDGET)
+// =================================================================
+
+/**
+ * Fetches an inventory for all properties and rewrites its sheet, unless it can be skipped.
+ * Incremental runs without new properties only refetch it once its sync state is older than
+ * the refresh interval. A fetch that runs out of time still writes the properties read so far
+ * and is recorded as PARTIAL, so the next run refetches it.
+ * @param {Object} inventory - { resourceType, label, sheetName, headers, fetch(properties, deadline) }.
+ * @param {Object} context - { properties, isIncremental, hasNewProperties, deadline } from syncGA4Core.
+ * @returns {Array<Object>|null} Rows written, or null if the inventory was skipped.
+ */
+function syncGA4Inventory(inventory, context) {
+  if (context.isIncremental && !context.hasNewProperties && !isGA4InventoryStale(inventory.resourceType)) {
+    logEvent('GA4', `${inventory.label}: refreshed within the last ${getGA4InventoryRefreshHours()} hours, skipped`);
+    return null;
+  }
+  if (Date.now() > context.deadline) {
+    logWarning('GA4', `${inventory.label}: time budget spent before the fetch started, previous sheet kept`);
+    return null;
+  }
+
+  const rows = inventory.fetch(context.properties, context.deadline);
+  const status = Date.now() > context.deadline ? 'PARTIAL' : 'SUCCESS';
+  writeDataToSheet(inventory.sheetName, inventory.headers, rows, 'GA4');
+  recordSyncState('GA4', inventory.resourceType, rows.length, status, context.isIncremental ? 'INCREMENTAL' : 'FULL');
+  logEvent('GA4', `${inventory.label}: ${rows.length} written${status === 'PARTIAL' ? ' (partial)' : ''}`);
+  return rows;
+}
+
+/**
+ * Checks whether an inventory must be refetched on an incremental run.
+ * @param {string} resourceType - Sync state resource type, e.g. 'KeyEvents'.
+ * @returns {boolean} True if it never synced, did not finish, or is older than the refresh interval.
+ */
+function isGA4InventoryStale(resourceType) {
+  const state = getSyncState('GA4', resourceType);
+  if (!state || !state.lastSyncDate || state.lastSyncStatus !== 'SUCCESS') {
+    return true;
+  }
+  return Date.now() - state.lastSyncDate.getTime() >= getGA4InventoryRefreshHours() * 60 * 60 * 1000;
+}
+
+/**
+ * Checks the inventory deadline inside a per-property loop and logs where the loop stopped.
+ * @param {number} deadline - Epoch milliseconds, or Infinity for no limit.
+ * @param {string} label - Inventory name for the log.
+ * @param {number} done - Properties read so far.
+ * @param {number} total - Properties to read.
+ * @returns {boolean} True if the loop must stop.
+ */
+function isGA4TimeBudgetSpent(deadline, label, done, total) {
+  if (Date.now() <= deadline) {
+    return false;
+  }
+  logWarning('GA4', `${label}: time budget spent after ${done} of ${total} properties, writing a partial sheet`);
+  return true;
+}
+
+/**
+ * Gets the number of hours after which incremental runs refetch the all-property inventories.
+ * @returns {number} Hours (default: 24).
+ */
+function getGA4InventoryRefreshHours() {
+  try {
+    const hours = parseInt(PropertiesService.getUserProperties().getProperty('ADDOCU_GA4_INVENTORY_REFRESH_HOURS'));
+    return hours > 0 ? hours : GA4_DEFAULT_INVENTORY_REFRESH_HOURS;
+  } catch (e) {
+    return GA4_DEFAULT_INVENTORY_REFRESH_HOURS;
+  }
+}
+
 // =================================================================
 // DATA EXTRACTION FUNCTIONS (HELPERS)
 // =================================================================
@@ -316,12 +451,13 @@ function getGA4AccountsAndProperties() {
   }
 }
 
-function getGA4SubResources(properties, resourceType, processor) {
+function getGA4SubResources(properties, resourceType, processor, deadline = Infinity) {
   const allResources = [];
   const auth = getAuthConfig('ga4');
   const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
 
-  for (const { property, account } of properties) {
+  for (const [index, { property, account }] of properties.entries()) {
+    if (isGA4TimeBudgetSpent(deadline, resourceType, index, properties.length)) break;
     try {
       let url, resourceKey;
 
@@ -339,6 +475,10 @@ function getGA4SubResources(properties, resourceType, processor) {
           url = `https://analyticsadmin.googleapis.com/v1alpha/${property.name}/dataStreams?pageSize=200`;
           resourceKey = 'dataStreams';
           break;
+        case 'keyEvents':
+          url = `https://analyticsadmin.googleapis.com/v1alpha/${property.name}/keyEvents?pageSize=200`;
+          resourceKey = 'keyEvents';
+          break;
         default:
           throw new Error(`Unsupported resource type: ${resourceType}`);
       }
@@ -487,6 +627,24 @@ function processGA4Stream(stream, property) {
   };
 }
 
+function processGA4KeyEvent(keyEvent, property) {
+  const defaultValue = keyEvent.defaultValue || {};
+  return {
+    'Property Name': property.displayName,
+    'Property ID': property.name.split('/').pop(),
+    'Event Name': keyEvent.eventName,
+    'Counting Method': keyEvent.countingMethod || 'N/A',
+    'Default Value': defaultValue.numericValue !== undefined ? defaultValue.numericValue : '',
+    'Currency': defaultValue.currencyCode || '',
+    'Create Time': formatDate(keyEvent.createTime),
+    'Custom': keyEvent.custom || false,
+    'Deletable': keyEvent.deletable || false,
+    'Property Created': formatDate(property.createTime),
+    'Property Updated': formatDate(property.updateTime),
+    'Notes': `${keyEvent.countingMethod || 'N/A'} | ${keyEvent.custom ? '✏️ Custom' : '🔒 Default'}`
+  };
+}
+
 function processGA4Change(changeEvent, property) {
   // Extract changes summary
   let changesDesc = 'No details';
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview GA4 Audiences Module.
+ * Lists the audiences of each property with a readable summary of their filter clauses
+ * and flags audiences without conditions or with (near) duplicate definitions.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GA4_AUDIENCES_HEADERS = [
+  'Property Name', 'Property ID', 'Audience Name', 'Audience ID', 'Description',
+  'Membership Duration (days)', 'Exclusion Mode', 'Ads Personalization', 'Event Trigger',
+  'Conditions', 'Definition Summary', 'Create Time', 'Issues', 'Notes'
+];
+
+const GA4_AUDIENCE_SCOPES = {
+  AUDIENCE_FILTER_SCOPE_WITHIN_SAME_EVENT: 'same event',
+  AUDIENCE_FILTER_SCOPE_WITHIN_SAME_SESSION: 'same session',
+  AUDIENCE_FILTER_SCOPE_ACROSS_ALL_SESSIONS: 'any session'
+};
+
+const GA4_AUDIENCE_MATCH_TYPES = {
+  EXACT: '=',
+  BEGINS_WITH: 'begins with',
+  ENDS_WITH: 'ends with',
+  CONTAINS: 'contains',
+  FULL_REGEXP: 'matches regex',
+  PARTIAL_REGEXP: 'contains regex'
+};
+
+const GA4_AUDIENCE_OPERATIONS = {
+  EQUAL: '=',
+  LESS_THAN: '<',
+  GREATER_THAN: '>'
+};
+
+// Share of identical conditions from which two audiences are reported as near duplicates
+const GA4_AUDIENCE_SIMILARITY_THRESHOLD = 0.8;
+
+// Predefined audience that matches every user by design
+const GA4_ALL_USERS_AUDIENCE = 'All Users';
+
+// =================================================================
+// AUDIENCES INVENTORY (CALLED FROM THE GA4 SYNC)
+// =================================================================
+
+/**
+ * Gets the audiences of each property as GA4_AUDIENCES rows.
+ * @param {Array<Object>} properties - { property, account } pairs from getGA4AccountsAndProperties.
+ * @param {number} [deadline=Infinity] - Epoch milliseconds after which the remaining properties are skipped.
+ * @returns {Array<Object>} Audience rows.
+ */
+function fetchGA4Audiences(properties, deadline = Infinity) {
+  const allAudiences = [];
+  const auth = getAuthConfig('ga4');
+  const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
+
+  for (const [index, { property }] of properties.entries()) {
+    if (isGA4TimeBudgetSpent(deadline, 'Audiences', index, properties.length)) break;
+    try {
+      const audiences = [];
+      let pageToken = '';
+      do {
+        const url = `https://analyticsadmin.googleapis.com/v1alpha/${property.name}/audiences?pageSize=200` +
+          (pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : '');
+        const response = fetchWithRetry(url, options, 'GA4-audiences');
+        audiences.push(...(response.audiences || []));
+        pageToken = response.nextPageToken || '';
+      } while (pageToken);
+
+      allAudiences.push(...buildGA4AudienceRows(audiences, property));
+      Utilities.sleep(200); // Pause between properties
+
+    } catch (e) {
+      logWarning('GA4', `Could not get audiences for property ${property.displayName}: ${e.message}`);
+    }
+  }
+  return allAudiences;
+}
+
+/**
+ * Builds the rows of a property's audiences and flags empty and duplicate definitions.
+ * @param {Array<Object>} audiences - Audiences from the API.
+ * @param {Object} property - Property the audiences belong to.
+ * @returns {Array<Object>} GA4_AUDIENCES rows.
+ */
+function buildGA4AudienceRows(audiences, property) {
+  const entries = audiences.map(audience => ({
+    audience: audience,
+    conditions: getGA4AudienceConditions(audience),
+    issues: []
+  }));
+
+  entries.forEach(entry => {
+    if (entry.conditions.length === 0 && entry.audience.displayName !== GA4_ALL_USERS_AUDIENCE) {
+      entry.issues.push('No conditions');
+    }
+  });
+
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const a = entries[i];
+      const b = entries[j];
+      if (a.conditions.length === 0 || b.conditions.length === 0) continue;
+
+      const similarity = getGA4AudienceSimilarity(a.conditions, b.conditions);
+      if (similarity < GA4_AUDIENCE_SIMILARITY_THRESHOLD) continue;
+
+      let label = `Near duplicate (${Math.round(similarity * 100)}%) of`;
+      if (similarity === 1) {
+        label = a.audience.membershipDurationDays === b.audience.membershipDurationDays ?
+          'Duplicate of' : 'Same conditions, other duration as';
+      }
+      a.issues.push(`${label} "${b.audience.displayName}"`);
+      b.issues.push(`${label} "${a.audience.displayName}"`);
+    }
+  }
+
+  return entries.map(entry => processGA4Audience(entry.audience, property, entry.conditions, entry.issues));
+}
+
+/**
+ * Processes an audience into a GA4_AUDIENCES row.
+ * @param {Object} audience - Audience from the API.
+ * @param {Object} property - Property the audience belongs to.
+ * @param {Array<string>} conditions - Conditions from getGA4AudienceConditions.
+ * @param {Array<string>} issues - Issues found for the audience.
+ * @returns {Object} GA4_AUDIENCES row.
+ */
+function processGA4Audience(audience, property, conditions, issues) {
+  const trigger = audience.eventTrigger;
+  const clauses = audience.filterClauses || [];
+  return {
+    'Property Name': property.displayName,
+    'Property ID': property.name.split('/').pop(),
+    'Audience Name': audience.displayName || 'Unnamed',
+    'Audience ID': audience.name ? audience.name.split('/').pop() : 'N/A',
+    'Description': audience.description || '',
+    'Membership Duration (days)': audience.membershipDurationDays || 'N/A',
+    'Exclusion Mode': audience.exclusionDurationMode || 'N/A',
+    'Ads Personalization': audience.adsPersonalizationEnabled || false,
+    'Event Trigger': trigger ? `${trigger.eventName} (${trigger.logCondition || 'N/A'})` : 'N/A',
+    'Conditions': conditions.length,
+    'Definition Summary': clauses.map(describeGA4AudienceClause).join('\n') || 'No conditions',
+    'Create Time': formatDate(audience.createTime),
+    'Issues': issues.join('; ') || 'OK',
+    'Notes': `${clauses.length} clauses | ${audience.adsPersonalizationEnabled ? '📢 Ads enabled' : '🚫 No ads'}`
+  };
+}
+
+// =================================================================
+// DEFINITION SUMMARIES
+// =================================================================
+
+/**
+ * Describes a filter clause, e.g. `Include users when (any session): event "purchase"`.
+ * @param {Object} clause - AudienceFilterClause from the API.
+ * @returns {string} Readable clause.
+ */
+function describeGA4AudienceClause(clause) {
+  const verb = clause.clauseType === 'EXCLUDE' ? 'Exclude' : 'Include';
+
+  if (clause.sequenceFilter) {
+    const sequence = clause.sequenceFilter;
+    const steps = (sequence.sequenceSteps || []).map((step, i) => {
+      const link = i === 0 ? '' : step.immediatelyFollows ? 'directly followed by ' : 'followed by ';
+      const within = step.constraintDuration ? ` within ${step.constraintDuration}` : '';
+      return `${link}${describeGA4AudienceExpression(step.filterExpression)}${within}`;
+    });
+    const maxDuration = sequence.sequenceMaximumDuration ? ` (max ${sequence.sequenceMaximumDuration})` : '';
+    return `${verb} users when (sequence, ${GA4_AUDIENCE_SCOPES[sequence.scope] || 'any session'}): ${steps.join(', ')}${maxDuration}`;
+  }
+
+  const simple = clause.simpleFilter || {};
+  return `${verb} users when (${GA4_AUDIENCE_SCOPES[simple.scope] || 'any session'}): ${describeGA4AudienceExpression(simple.filterExpression)}`;
+}
+
+/**
+ * Describes a filter expression recursively.
+ * @param {Object} expression - AudienceFilterExpression from the API.
+ * @param {boolean} nested - Whether the expression is inside a group (adds parentheses).
+ * @returns {string} Readable expression.
+ */
+function describeGA4AudienceExpression(expression, nested) {
+  if (!expression) return 'no conditions';
+
+  if (expression.andGroup || expression.orGroup) {
+    const group = expression.andGroup || expression.orGroup;
+    const parts = (group.filterExpressions || []).map(e => describeGA4AudienceExpression(e, true));
+    const text = parts.join(expression.andGroup ? ' AND ' : ' OR ');
+    return nested && parts.length > 1 ? `(${text})` : text;
+  }
+  if (expression.notExpression) {
+    return `NOT ${describeGA4AudienceExpression(expression.notExpression, true)}`;
+  }
+  if (expression.eventFilter) {
+    const params = expression.eventFilter.eventParameterFilterExpression;
+    return `event "${expression.eventFilter.eventName}"` + (params ? ` with ${describeGA4AudienceExpression(params, true)}` : '');
+  }
+  if (expression.dimensionOrMetricFilter) {
+    return describeGA4AudienceFilter(expression.dimensionOrMetricFilter);
+  }
+  return 'unknown condition';
+}
+
+/**
+ * Describes a dimension or metric filter, e.g. `page_location contains /checkout`.
+ * @param {Object} filter - AudienceDimensionOrMetricFilter from the API.
+ * @returns {string} Readable condition.
+ */
+function describeGA4AudienceFilter(filter) {
+  const field = filter.fieldName || 'unknown field';
+  let condition = 'is set';
+
+  if (filter.stringFilter) {
+    condition = `${GA4_AUDIENCE_MATCH_TYPES[filter.stringFilter.matchType] || filter.stringFilter.matchType} "${filter.stringFilter.value}"`;
+  } else if (filter.inListFilter) {
+    condition = `in [${(filter.inListFilter.values || []).join(', ')}]`;
+  } else if (filter.numericFilter) {
+    condition = `${GA4_AUDIENCE_OPERATIONS[filter.numericFilter.operation] || filter.numericFilter.operation} ${getGA4AudienceNumber(filter.numericFilter.value)}`;
+  } else if (filter.betweenFilter) {
+    condition = `between ${getGA4AudienceNumber(filter.betweenFilter.fromValue)} and ${getGA4AudienceNumber(filter.betweenFilter.toValue)}`;
+  }
+
+  const period = filter.inAnyNDayPeriod ? ` in any ${filter.inAnyNDayPeriod}-day period` : filter.atAnyPointInTime ? ' at any point in time' : '';
+  return `${field} ${condition}${period}`;
+}
+
+/**
+ * Reads a NumericValue from the API.
+ * @param {Object} value - { int64Value } or { doubleValue }.
+ * @returns {string|number} The number, '?' if missing.
+ */
+function getGA4AudienceNumber(value) {
+  if (!value) return '?';
+  return value.int64Value !== undefined ? value.int64Value : value.doubleValue !== undefined ? value.doubleValue : '?';
+}
+
+// =================================================================
+// DUPLICATE DETECTION
+// =================================================================
+
+/**
+ * Lists the conditions of an audience to compare definitions.
+ * Each condition is one AND-ed part of a clause, kept with its clause type and scope, and
+ * written in a canonical form that keeps the AND / OR structure (e.g. `(A OR B)` differs from `A`, `B`).
+ * @param {Object} audience - Audience from the API.
+ * @returns {Array<string>} Sorted unique conditions.
+ */
+function getGA4AudienceConditions(audience) {
+  const conditions = new Set();
+
+  const addParts = (expression, prefix) => {
+    if (!expression) return;
+    // Clauses are an AND of parts: compare the parts, so reordering them does not matter
+    const parts = expression.andGroup ? (expression.andGroup.filterExpressions || []) : [expression];
+    parts.map(getGA4AudienceCanonicalExpression).filter(Boolean).forEach(part => conditions.add(prefix + part));
+  };
+
+  (audience.filterClauses || []).forEach(clause => {
+    const type = clause.clauseType === 'EXCLUDE' ? 'EXCLUDE' : 'INCLUDE';
+    if (clause.sequenceFilter) {
+      const sequence = clause.sequenceFilter;
+      (sequence.sequenceSteps || []).forEach((step, i) => {
+        const scope = GA4_AUDIENCE_SCOPES[step.scope || sequence.scope] || 'any session';
+        addParts(step.filterExpression, `${type} [sequence step ${i + 1}${step.immediatelyFollows ? ', directly' : ''}, ${scope}] `);
+      });
+    } else if (clause.simpleFilter) {
+      addParts(clause.simpleFilter.filterExpression, `${type} [${GA4_AUDIENCE_SCOPES[clause.simpleFilter.scope] || 'any session'}] `);
+    }
+  });
+
+  return Array.from(conditions).sort();
+}
+
+/**
+ * Writes a filter expression in a canonical form: group members sorted, single-member groups unwrapped.
+ * @param {Object} expression - AudienceFilterExpression from the API.
+ * @returns {string} Canonical expression, empty for an empty group.
+ */
+function getGA4AudienceCanonicalExpression(expression) {
+  if (!expression) return '';
+
+  if (expression.andGroup || expression.orGroup) {
+    const group = expression.andGroup || expression.orGroup;
+    const members = Array.from(new Set((group.filterExpressions || []).map(getGA4AudienceCanonicalExpression).filter(Boolean))).sort();
+    if (members.length <= 1) return members[0] || '';
+    return `(${members.join(expression.andGroup ? ' AND ' : ' OR ')})`;
+  }
+  if (expression.notExpression) {
+    return `NOT ${getGA4AudienceCanonicalExpression(expression.notExpression)}`;
+  }
+  return describeGA4AudienceExpression(expression);
+}
+
+/**
+ * Jaccard similarity of two condition lists.
+ * @param {Array<string>} a - Conditions of the first audience.
+ * @param {Array<string>} b - Conditions of the second audience.
+ * @returns {number} Similarity between 0 and 1.
+ */
+function getGA4AudienceSimilarity(a, b) {
+  const setB = new Set(b);
+  const shared = a.filter(c => setB.has(c)).length;
+  return shared / (a.length + b.length - shared);
+}
@@ -174,13 +174,14 @@ function processUserRecord(link, account, property, scope) {
 
 /**
  * Writes the report to the sheet.
+ * Also used by the GTM User Access Audit, which shares the same record layout.
  */
-function writeUserAccessReport(records) {
+function writeUserAccessReport(records, sheetName = GA4_GOVERNANCE_SHEETS.userAccess) {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-    let sheet = ss.getSheetByName(GA4_GOVERNANCE_SHEETS.userAccess);
+    let sheet = ss.getSheetByName(sheetName);
 
     if (!sheet) {
-        sheet = ss.insertSheet(GA4_GOVERNANCE_SHEETS.userAccess);
+        sheet = ss.insertSheet(sheetName);
         sheet.setTabColor('#EF4444'); // Red for Security
     }
 
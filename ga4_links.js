@@ -0,0 +1,172 @@
+/**
+ * @fileoverview GA4 Product Links Module.
+ * Lists the Google Ads, Firebase, Display & Video 360, Search Ads 360, AdSense and BigQuery
+ * links of each property with their settings, and flags properties without a Google Ads link
+ * when Google Ads campaigns were audited.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GA4_LINKS_HEADERS = [
+  'Property Name', 'Property ID', 'Link Type', 'Linked ID', 'Linked Name', 'Ads Personalization',
+  'Settings', 'Create Time', 'Link Path', 'Issues'
+];
+
+// Link Type of the row flagging a property without Google Ads link
+const GA4_MISSING_ADS_LINK_TYPE = 'None';
+
+// Admin API collection (also the list response key) and label of each link type
+const GA4_LINK_TYPES = [
+  { collection: 'googleAdsLinks', label: 'Google Ads' },
+  { collection: 'firebaseLinks', label: 'Firebase' },
+  { collection: 'displayVideo360AdvertiserLinks', label: 'Display & Video 360' },
+  { collection: 'searchAds360Links', label: 'Search Ads 360' },
+  { collection: 'adSenseLinks', label: 'AdSense' },
+  { collection: 'bigQueryLinks', label: 'BigQuery' }
+];
+
+// =================================================================
+// PRODUCT LINKS INVENTORY (CALLED FROM THE GA4 SYNC)
+// =================================================================
+
+/**
+ * Gets the product links of each property as GA4_LINKS rows.
+ * @param {Array<Object>} properties - { property, account } pairs from getGA4AccountsAndProperties.
+ * @param {number} [deadline=Infinity] - Epoch milliseconds after which the remaining properties are skipped.
+ * @returns {Array<Object>} Link rows.
+ */
+function fetchGA4Links(properties, deadline = Infinity) {
+  const allLinks = [];
+  const auth = getAuthConfig('ga4');
+  const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
+  const adsCustomers = getAuditedGoogleAdsCustomers();
+
+  for (const [index, { property }] of properties.entries()) {
+    if (isGA4TimeBudgetSpent(deadline, 'Links', index, properties.length)) break;
+    const propertyLinks = [];
+
+    for (const linkType of GA4_LINK_TYPES) {
+      try {
+        const links = listGA4PropertyLinks(property, linkType.collection, options);
+        propertyLinks.push(...links.map(link => processGA4Link(link, linkType, property)));
+      } catch (e) {
+        logWarning('GA4', `Could not get ${linkType.label} links for property ${property.displayName}: ${e.message}`);
+      }
+    }
+
+    const hasAdsLink = propertyLinks.some(l => l['Link Type'] === 'Google Ads');
+    if (!hasAdsLink && adsCustomers.length > 0) {
+      propertyLinks.push({
+        'Property Name': property.displayName,
+        'Property ID': property.name.split('/').pop(),
+        'Link Type': GA4_MISSING_ADS_LINK_TYPE,
+        'Linked ID': 'N/A',
+        'Linked Name': 'N/A',
+        'Ads Personalization': 'N/A',
+        'Settings': 'N/A',
+        'Create Time': 'N/A',
+        'Link Path': 'N/A',
+        'Issues': `No Google Ads link, but ADS_CAMPAIGNS has campaigns in ${adsCustomers.length} account(s) (${adsCustomers.join(', ')}). ` +
+          'Which Ads account belongs to which property is not checked - ignore if none of them advertise this property.'
+      });
+    }
+
+    allLinks.push(...propertyLinks);
+    Utilities.sleep(200); // Pause between properties
+  }
+  return allLinks;
+}
+
+/**
+ * Lists all the links of one type of a property, following pagination.
+ * @param {Object} property - GA4 property.
+ * @param {string} collection - Admin API collection (e.g. 'googleAdsLinks').
+ * @param {Object} options - Fetch options.
+ * @returns {Array<Object>} Links from the API.
+ */
+function listGA4PropertyLinks(property, collection, options) {
+  const links = [];
+  let pageToken = '';
+  do {
+    const url = `https://analyticsadmin.googleapis.com/v1alpha/${property.name}/${collection}?pageSize=200` +
+      (pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : '');
+    const response = fetchWithRetry(url, options, `GA4-${collection}`);
+    links.push(...(response[collection] || []));
+    pageToken = response.nextPageToken || '';
+  } while (pageToken);
+  return links;
+}
+
+/**
+ * Processes a product link into a GA4_LINKS row.
+ * @param {Object} link - Link from the API.
+ * @param {Object} linkType - Entry of GA4_LINK_TYPES.
+ * @param {Object} property - Property the link belongs to.
+ * @returns {Object} GA4_LINKS row.
+ */
+function processGA4Link(link, linkType, property) {
+  const settings = [];
+  const issues = [];
+  let linkedId = 'N/A';
+  let linkedName = 'N/A';
+
+  switch (linkType.collection) {
+    case 'googleAdsLinks':
+      linkedId = link.customerId || 'N/A';
+      if (link.canManageClients) settings.push('Manager account');
+      if (link.creatorEmailAddress) settings.push(`Created by ${link.creatorEmailAddress}`);
+      break;
+    case 'firebaseLinks':
+      linkedId = link.project || 'N/A';
+      break;
+    case 'displayVideo360AdvertiserLinks':
+    case 'searchAds360Links':
+      linkedId = link.advertiserId || 'N/A';
+      linkedName = link.advertiserDisplayName || 'N/A';
+      settings.push(`Campaign data sharing: ${link.campaignDataSharingEnabled ? 'On' : 'Off'}`);
+      settings.push(`Cost data sharing: ${link.costDataSharingEnabled ? 'On' : 'Off'}`);
+      if (link.siteStatsSharingEnabled !== undefined) settings.push(`Site stats sharing: ${link.siteStatsSharingEnabled ? 'On' : 'Off'}`);
+      break;
+    case 'adSenseLinks':
+      linkedId = link.adClientCode || 'N/A';
+      break;
+    case 'bigQueryLinks':
+      linkedId = link.project || 'N/A';
+      settings.push(`Daily export: ${link.dailyExportEnabled ? 'On' : 'Off'}`);
+      settings.push(`Streaming export: ${link.streamingExportEnabled ? 'On' : 'Off'}`);
+      settings.push(`Fresh daily export: ${link.freshDailyExportEnabled ? 'On' : 'Off'}`);
+      if (link.includeAdvertisingId) settings.push('Includes advertising ID');
+      if (link.datasetLocation) settings.push(`Location: ${link.datasetLocation}`);
+      if ((link.excludedEvents || []).length > 0) settings.push(`Excluded events: ${link.excludedEvents.join(', ')}`);
+      if (!link.dailyExportEnabled && !link.streamingExportEnabled && !link.freshDailyExportEnabled) issues.push('No export enabled');
+      break;
+  }
+
+  const hasAdsPersonalization = link.adsPersonalizationEnabled !== undefined;
+  return {
+    'Property Name': property.displayName,
+    'Property ID': property.name.split('/').pop(),
+    'Link Type': linkType.label,
+    'Linked ID': linkedId,
+    'Linked Name': linkedName,
+    'Ads Personalization': hasAdsPersonalization ? link.adsPersonalizationEnabled : 'N/A',
+    'Settings': settings.join(' | ') || 'N/A',
+    'Create Time': formatDate(link.createTime),
+    'Link Path': link.name || 'N/A',
+    'Issues': issues.join('; ') || 'OK'
+  };
+}
+
+/**
+ * Lists the Google Ads customers with campaigns in the last Google Ads audit.
+ * @returns {Array<string>} Customer IDs, empty if Google Ads was not audited.
+ */
+function getAuditedGoogleAdsCustomers() {
+  const customers = new Set();
+  readSheetRecords('ADS_CAMPAIGNS').forEach(row => {
+    if (row['Customer ID']) customers.add(String(row['Customer ID']));
+  });
+  return Array.from(customers);
+}
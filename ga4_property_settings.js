@@ -0,0 +1,202 @@
+/**
+ * @fileoverview GA4 Property Settings Module.
+ * Fetches the settings that the property list does not return: data retention, Google Signals,
+ * account data sharing, attribution, reporting identity and enhanced measurement per web stream.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GA4_PROPERTY_SETTINGS_HEADERS = [
+  'Property Name', 'Property ID', 'Account Name', 'Event Data Retention', 'User Data Retention',
+  'Reset On New Activity', 'Google Signals', 'Google Signals Consent', 'Data Sharing (Account)',
+  'Reporting Attribution Model', 'Acquisition Lookback Window', 'Other Conversions Lookback Window',
+  'Ads Conversion Export Scope', 'Reporting Identity', 'Web Streams', 'Streams Without Enhanced Measurement',
+  'Enhanced Measurement'
+];
+
+const GA4_DATA_SHARING_FIELDS = {
+  sharingWithGoogleProductsEnabled: 'Google products',
+  sharingWithOthersEnabled: 'Modeling & business insights',
+  sharingWithGoogleSupportEnabled: 'Technical support',
+  sharingWithGoogleAssignedSalesEnabled: 'Account specialists'
+};
+
+const GA4_ENHANCED_MEASUREMENT_FIELDS = {
+  scrollsEnabled: 'Scrolls',
+  outboundClicksEnabled: 'Outbound clicks',
+  siteSearchEnabled: 'Site search',
+  videoEngagementEnabled: 'Video engagement',
+  fileDownloadsEnabled: 'File downloads',
+  pageChangesEnabled: 'Page changes',
+  formInteractionsEnabled: 'Form interactions'
+};
+
+// =================================================================
+// PROPERTY SETTINGS (CALLED FROM THE GA4 SYNC)
+// =================================================================
+
+/**
+ * Gets the settings of each property as GA4_PROPERTY_SETTINGS rows.
+ * Also sets property.dataRetentionSettings so processGA4Property can fill its retention columns.
+ * @param {Array<Object>} properties - { property, account } pairs from getGA4AccountsAndProperties.
+ * @param {number} [deadline=Infinity] - Epoch milliseconds after which the remaining properties are skipped.
+ * @returns {Array<Object>} Settings rows.
+ */
+function fetchGA4PropertySettings(properties, deadline = Infinity) {
+  const allSettings = [];
+  const auth = getAuthConfig('ga4');
+  const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
+  const dataSharingByAccount = {};
+
+  for (const [index, { property, account }] of properties.entries()) {
+    if (isGA4TimeBudgetSpent(deadline, 'Property Settings', index, properties.length)) break;
+    try {
+      if (!(account.name in dataSharingByAccount)) {
+        dataSharingByAccount[account.name] = getGA4Setting(`${account.name}/dataSharingSettings`, options, 'data sharing', account.displayName);
+      }
+
+      const settings = {
+        retention: getGA4Setting(`${property.name}/dataRetentionSettings`, options, 'data retention', property.displayName),
+        signals: getGA4Setting(`${property.name}/googleSignalsSettings`, options, 'Google Signals', property.displayName),
+        attribution: getGA4Setting(`${property.name}/attributionSettings`, options, 'attribution', property.displayName),
+        reportingIdentity: getGA4Setting(`${property.name}/reportingIdentitySettings`, options, 'reporting identity', property.displayName),
+        dataSharing: dataSharingByAccount[account.name],
+        enhancedMeasurement: getGA4EnhancedMeasurement(property, options)
+      };
+
+      if (settings.retention) property.dataRetentionSettings = settings.retention;
+      allSettings.push(processGA4PropertySettings(settings, property, account));
+      Utilities.sleep(200); // Pause between properties
+
+    } catch (e) {
+      logWarning('GA4', `Could not get settings for property ${property.displayName}: ${e.message}`);
+    }
+  }
+  return allSettings;
+}
+
+/**
+ * Updates the retention columns of the GA4_PROPERTIES rows already in the sheet.
+ * GA4_PROPERTIES is append-only, so properties audited before only get current retention values here.
+ * @param {Array<Object>} settingsRows - GA4_PROPERTY_SETTINGS rows from fetchGA4PropertySettings.
+ * @returns {number} Number of rows updated.
+ */
+function updateGA4PropertiesRetention(settingsRows) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('GA4_PROPERTIES');
+  if (!sheet || sheet.getLastRow() <= 1) return 0;
+
+  const retentionById = {};
+  settingsRows
+    .filter(row => row['Event Data Retention'] !== 'N/A')
+    .forEach(row => { retentionById[String(row['Property ID'])] = row; });
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const idCol = headers.indexOf('Property ID');
+  const retentionCol = headers.indexOf('Data Retention');
+  const resetCol = headers.indexOf('Reset User Data');
+  if (idCol === -1 || retentionCol === -1 || resetCol === -1) return 0;
+
+  let updated = 0;
+  const rows = data.slice(1);
+  rows.forEach(row => {
+    const settings = retentionById[String(row[idCol])];
+    if (!settings) return;
+    row[retentionCol] = settings['Event Data Retention'];
+    row[resetCol] = settings['Reset On New Activity'];
+    updated++;
+  });
+
+  if (updated > 0) {
+    sheet.getRange(2, retentionCol + 1, rows.length, 1).setValues(rows.map(row => [row[retentionCol]]));
+    sheet.getRange(2, resetCol + 1, rows.length, 1).setValues(rows.map(row => [row[resetCol]]));
+  }
+  return updated;
+}
+
+/**
+ * Fetches a settings singleton, logging instead of failing when it is unavailable.
+ * @param {string} resourceName - Settings resource (e.g. 'properties/123/dataRetentionSettings').
+ * @param {Object} options - Fetch options.
+ * @param {string} label - Setting name for the log.
+ * @param {string} ownerName - Property or account display name for the log.
+ * @returns {Object|null} The settings, null if they could not be read.
+ */
+function getGA4Setting(resourceName, options, label, ownerName) {
+  try {
+    return fetchWithRetry(`https://analyticsadmin.googleapis.com/v1alpha/${resourceName}`, options, `GA4-${label}`);
+  } catch (e) {
+    logWarning('GA4', `Could not get ${label} settings for ${ownerName}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Gets the enhanced measurement settings of each web stream of a property.
+ * @param {Object} property - GA4 property.
+ * @param {Object} options - Fetch options.
+ * @returns {Array<Object>|null} { stream, settings } pairs, settings null if they could not be read; null if the streams could not be listed.
+ */
+function getGA4EnhancedMeasurement(property, options) {
+  let response;
+  try {
+    response = fetchWithRetry(`https://analyticsadmin.googleapis.com/v1alpha/${property.name}/dataStreams?pageSize=200`, options, 'GA4-dataStreams');
+  } catch (e) {
+    logWarning('GA4', `Could not list data streams for ${property.displayName}: ${e.message}`);
+    return null;
+  }
+  return (response.dataStreams || [])
+    .filter(stream => stream.type === 'WEB_DATA_STREAM')
+    .map(stream => ({
+      stream: stream,
+      settings: getGA4Setting(`${stream.name}/enhancedMeasurementSettings`, options, 'enhanced measurement', stream.displayName)
+    }));
+}
+
+/**
+ * Processes the settings of a property into a GA4_PROPERTY_SETTINGS row.
+ * @param {Object} settings - Settings fetched by fetchGA4PropertySettings.
+ * @param {Object} property - GA4 property.
+ * @param {Object} account - GA4 account.
+ * @returns {Object} GA4_PROPERTY_SETTINGS row.
+ */
+function processGA4PropertySettings(settings, property, account) {
+  const retention = settings.retention || {};
+  const signals = settings.signals || {};
+  const attribution = settings.attribution || {};
+  const dataSharing = settings.dataSharing;
+
+  const streamsListed = settings.enhancedMeasurement !== null;
+  const streams = settings.enhancedMeasurement || [];
+  const withoutEnhancedMeasurement = streams.filter(s => s.settings && !s.settings.streamEnabled);
+  const enhancedMeasurement = streams.map(({ stream, settings: em }) => {
+    const label = `${stream.displayName} (${stream.webStreamData?.measurementId || stream.name.split('/').pop()})`;
+    if (!em) return `${label}: N/A`;
+    if (!em.streamEnabled) return `${label}: Off`;
+    const events = Object.keys(GA4_ENHANCED_MEASUREMENT_FIELDS).filter(f => em[f]).map(f => GA4_ENHANCED_MEASUREMENT_FIELDS[f]);
+    return `${label}: On (${events.join(', ') || 'page views only'})`;
+  });
+
+  return {
+    'Property Name': property.displayName,
+    'Property ID': property.name.split('/').pop(),
+    'Account Name': account.displayName,
+    'Event Data Retention': retention.eventDataRetention || 'N/A',
+    'User Data Retention': retention.userDataRetention || 'N/A',
+    'Reset On New Activity': settings.retention ? !!retention.resetUserDataOnNewActivity : 'N/A',
+    'Google Signals': signals.state || 'N/A',
+    'Google Signals Consent': signals.consent || 'N/A',
+    'Data Sharing (Account)': dataSharing ?
+      Object.keys(GA4_DATA_SHARING_FIELDS).map(f => `${GA4_DATA_SHARING_FIELDS[f]}: ${dataSharing[f] ? 'On' : 'Off'}`).join(' | ') : 'N/A',
+    'Reporting Attribution Model': attribution.reportingAttributionModel || 'N/A',
+    'Acquisition Lookback Window': attribution.acquisitionConversionEventLookbackWindow || 'N/A',
+    'Other Conversions Lookback Window': attribution.otherConversionEventLookbackWindow || 'N/A',
+    'Ads Conversion Export Scope': attribution.adsWebConversionDataExportScope || 'N/A',
+    'Reporting Identity': (settings.reportingIdentity && settings.reportingIdentity.reportingIdentity) || 'N/A',
+    'Web Streams': streamsListed ? streams.length : 'N/A',
+    'Streams Without Enhanced Measurement': streamsListed ? withoutEnhancedMeasurement.length : 'N/A',
+    'Enhanced Measurement': streamsListed ? (enhancedMeasurement.join('\n') || 'No web streams') : 'N/A'
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview GA4 Best-Practice Scorecard Module.
+ * Scores every audited property against the checks of the editable GA4_SCORECARD_BASELINE sheet
+ * and writes GA4_SCORECARD with the result of each check, a weighted score and the remediation.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GA4_SCORECARD_HEADERS = [
+  'Property Name', 'Property ID', 'Property Score', 'Check', 'Source Sheet', 'Expected', 'Actual',
+  'Result', 'Weight', 'Remediation'
+];
+
+const GA4_SCORECARD_BASELINE_SHEET = 'GA4_SCORECARD_BASELINE';
+
+const GA4_SCORECARD_BASELINE_HEADERS = [
+  'Check', 'Source Sheet', 'Column', 'Operator', 'Expected', 'Weight', 'Remediation', 'Active'
+];
+
+const GA4_SCORECARD_OPERATORS = ['equals', 'not equals', 'not empty', 'at least', 'at most', 'has row with', 'row count at least'];
+
+// Values the GA4 sheets use for unset fields
+const GA4_SCORECARD_EMPTY_VALUES = ['', 'N/A', '(not set)'];
+
+const GA4_SCORECARD_RESULT = {
+  pass: 'Pass',
+  fail: 'Fail',
+  notAudited: 'N/A'
+};
+
+// =================================================================
+// SCORECARD (CALLED FROM THE GA4 SYNC)
+// =================================================================
+
+/**
+ * Scores the audited properties against the baseline and writes GA4_SCORECARD.
+ * Reads the GA4 sheets, so it runs after all of them have been written.
+ * @returns {number} Number of scored properties.
+ */
+function writeGA4Scorecard() {
+  try {
+    const checks = getOrCreateGA4ScorecardBaseline();
+    const properties = {};
+    readSheetRecords('GA4_PROPERTIES').forEach(p => {
+      if (p['Property ID']) properties[String(p['Property ID'])] = p['Property Name'];
+    });
+
+    if (checks.length === 0 || Object.keys(properties).length === 0) {
+      logWarning('GA4', 'GA4 scorecard skipped: no active baseline checks or no audited properties.');
+      return 0;
+    }
+
+    const rows = buildGA4Scorecard(properties, checks);
+    writeDataToSheet('GA4_SCORECARD', GA4_SCORECARD_HEADERS, rows, 'GA4');
+    logEvent('GA4', `📋 GA4 scorecard: ${Object.keys(properties).length} properties scored against ${checks.length} checks`);
+    return Object.keys(properties).length;
+
+  } catch (error) {
+    logError('GA4', `Error building GA4 scorecard: ${error.message}`);
+    writeDataToSheet('GA4_SCORECARD', GA4_SCORECARD_HEADERS, null, 'GA4', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Evaluates every check for every property.
+ * @param {Object} properties - Map of property ID -> property name.
+ * @param {Array<Object>} checks - Active checks from getOrCreateGA4ScorecardBaseline.
+ * @returns {Array<Object>} GA4_SCORECARD rows.
+ */
+function buildGA4Scorecard(properties, checks) {
+  // Source sheets indexed by property ID, read once; null when the sheet does not exist
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sources = {};
+  checks.forEach(check => {
+    if (check.sourceSheet in sources) return;
+    if (!ss.getSheetByName(check.sourceSheet)) {
+      sources[check.sourceSheet] = null;
+      return;
+    }
+    const rowsByProperty = {};
+    readSheetRecords(check.sourceSheet).forEach(row => {
+      const id = String(row['Property ID']);
+      (rowsByProperty[id] = rowsByProperty[id] || []).push(row);
+    });
+    sources[check.sourceSheet] = rowsByProperty;
+  });
+
+  const rows = [];
+  Object.keys(properties).forEach(propertyId => {
+    const results = checks.map(check => {
+      const evaluation = sources[check.sourceSheet] ?
+        evaluateGA4ScorecardCheck(check, sources[check.sourceSheet][propertyId] || []) :
+        { result: GA4_SCORECARD_RESULT.notAudited, actual: `${check.sourceSheet} not audited` };
+      return { check: check, result: evaluation.result, actual: evaluation.actual };
+    });
+
+    const scored = results.filter(r => r.result !== GA4_SCORECARD_RESULT.notAudited);
+    const totalWeight = scored.reduce((sum, r) => sum + r.check.weight, 0);
+    const passedWeight = scored.filter(r => r.result === GA4_SCORECARD_RESULT.pass).reduce((sum, r) => sum + r.check.weight, 0);
+    const score = totalWeight > 0 ? Math.round((passedWeight / totalWeight) * 100) : 'N/A';
+
+    results.forEach(({ check, result, actual }) => {
+      rows.push({
+        'Property Name': properties[propertyId],
+        'Property ID': propertyId,
+        'Property Score': score,
+        'Check': check.name,
+        'Source Sheet': check.sourceSheet,
+        'Expected': describeGA4ScorecardExpectation(check),
+        'Actual': actual,
+        'Result': result,
+        'Weight': check.weight,
+        'Remediation': result === GA4_SCORECARD_RESULT.fail ? check.remediation : ''
+      });
+    });
+  });
+  return rows;
+}
+
+/**
+ * Evaluates a check against the rows of one property.
+ * Value operators use the property's last row (the most recent audit).
+ * @param {Object} check - Baseline check.
+ * @param {Array<Object>} propertyRows - Rows of the property in the check's source sheet.
+ * @returns {Object} { result, actual }.
+ */
+function evaluateGA4ScorecardCheck(check, propertyRows) {
+  const expected = check.expected.toLowerCase();
+
+  if (check.operator === 'row count at least') {
+    return {
+      result: propertyRows.length >= parseFloat(check.expected) ? GA4_SCORECARD_RESULT.pass : GA4_SCORECARD_RESULT.fail,
+      actual: `${propertyRows.length} rows`
+    };
+  }
+  if (check.operator === 'has row with') {
+    const matches = propertyRows.filter(r => String(r[check.column]).trim().toLowerCase() === expected).length;
+    return {
+      result: matches > 0 ? GA4_SCORECARD_RESULT.pass : GA4_SCORECARD_RESULT.fail,
+      actual: `${matches} matching rows`
+    };
+  }
+
+  const row = propertyRows[propertyRows.length - 1];
+  const value = row && row[check.column] !== undefined ? String(row[check.column]).trim() : '';
+  const isEmpty = GA4_SCORECARD_EMPTY_VALUES.includes(value);
+  let passed = false;
+
+  switch (check.operator) {
+    case 'equals':
+      passed = value.toLowerCase() === expected;
+      break;
+    case 'not equals':
+      passed = !isEmpty && value.toLowerCase() !== expected;
+      break;
+    case 'not empty':
+      passed = !isEmpty;
+      break;
+    case 'at least':
+      passed = !isEmpty && parseFloat(value) >= parseFloat(check.expected);
+      break;
+    case 'at most':
+      passed = !isEmpty && parseFloat(value) <= parseFloat(check.expected);
+      break;
+  }
+
+  return {
+    result: passed ? GA4_SCORECARD_RESULT.pass : GA4_SCORECARD_RESULT.fail,
+    actual: row ? (value || '(empty)') : 'No data for this property'
+  };
+}
+
+/**
+ * Describes what a check expects, e.g. `Event Data Retention equals FOURTEEN_MONTHS`.
+ * @param {Object} check - Baseline check.
+ * @returns {string} Readable expectation.
+ */
+function describeGA4ScorecardExpectation(check) {
+  if (check.operator === 'row count at least') return `At least ${check.expected} rows`;
+  if (check.operator === 'not empty') return `${check.column} is set`;
+  return `${check.column} ${check.operator} ${check.expected}`;
+}
+
+// =================================================================
+// BASELINE CONFIGURATION
+// =================================================================
+
+/**
+ * Gets the active baseline checks, creating GA4_SCORECARD_BASELINE with the default checks if needed.
+ * @returns {Array<Object>} Checks as { name, sourceSheet, column, operator, expected, weight, remediation }.
+ */
+function getOrCreateGA4ScorecardBaseline() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(GA4_SCORECARD_BASELINE_SHEET);
+  const headers = GA4_SCORECARD_BASELINE_HEADERS;
+
+  if (!sheet) {
+    sheet = ss.insertSheet(GA4_SCORECARD_BASELINE_SHEET);
+    sheet.setTabColor('#3B82F6'); // Blue for config
+
+    const headerRange = sheet.getRange(1, 1, 1, headers.length);
+    headerRange.setValues([headers]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#1E40AF');
+    headerRange.setFontColor('white');
+
+    const defaults = [
+      ['Data retention is 14 months', 'GA4_PROPERTY_SETTINGS', 'Event Data Retention', 'equals', 'FOURTEEN_MONTHS', 3,
+        'Admin > Data collection and modification > Data retention: set event data retention to 14 months.', true],
+      ['Google Signals on', 'GA4_PROPERTY_SETTINGS', 'Google Signals', 'equals', 'GOOGLE_SIGNALS_ENABLED', 2,
+        'Admin > Data collection: turn on Google signals data collection (check consent requirements first).', true],
+      ['Currency set', 'GA4_PROPERTIES', 'Currency Code', 'not empty', '', 1,
+        'Admin > Property details: set the reporting currency.', true],
+      ['Time zone set', 'GA4_PROPERTIES', 'Time Zone', 'not empty', '', 1,
+        'Admin > Property details: set the reporting time zone.', true],
+      ['At least 1 key event', 'GA4_KEY_EVENTS', '', 'row count at least', 1, 3,
+        'Admin > Events: mark the business-critical events as key events.', true],
+      ['BigQuery link present', 'GA4_LINKS', 'Link Type', 'has row with', 'BigQuery', 2,
+        'Admin > Product links > BigQuery links: link a BigQuery project with daily export.', true],
+      ['Enhanced measurement on all web streams', 'GA4_PROPERTY_SETTINGS', 'Streams Without Enhanced Measurement', 'at most', 0, 1,
+        'Admin > Data streams: turn on enhanced measurement for each web stream.', true]
+    ];
+    sheet.getRange(2, 1, defaults.length, headers.length).setValues(defaults);
+
+    const noteRow = defaults.length + 3;
+    sheet.getRange(noteRow, 1).setValue(`ℹ️ Operator: ${GA4_SCORECARD_OPERATORS.join(', ')}. Column is a header of the source sheet; weights set how much each check counts in the property score.`);
+    sheet.getRange(noteRow, 1).setFontStyle('italic').setFontColor('#6B7280');
+
+    sheet.autoResizeColumns(1, headers.length);
+    sheet.setFrozenRows(1);
+
+    logEvent('GA4', `Created ${GA4_SCORECARD_BASELINE_SHEET} sheet with default checks`);
+  }
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return [];
+
+  const data = sheet.getRange(2, 1, lastRow - 1, headers.length).getValues();
+  const checks = [];
+  data.filter(row => row[0] && row[1] && row[7] === true).forEach(row => {
+    const operator = row[3].toString().trim().toLowerCase();
+    if (!GA4_SCORECARD_OPERATORS.includes(operator)) {
+      logWarning('GA4', `Invalid scorecard check ignored (${row[0]}): unknown operator "${row[3]}"`);
+      return;
+    }
+    const weight = parseFloat(row[5]);
+    checks.push({
+      name: row[0].toString().trim(),
+      sourceSheet: row[1].toString().trim(),
+      column: row[2].toString().trim(),
+      operator: operator,
+      expected: row[4].toString().trim(),
+      weight: isNaN(weight) || weight < 0 ? 1 : weight,
+      remediation: row[6].toString().trim()
+    });
+  });
+  return checks;
+}
+
+// =================================================================
+// DASHBOARD SUMMARY
+// =================================================================
+
+/**
+ * Summarizes GA4_SCORECARD for the dashboard quality analysis.
+ * @returns {Object|null} { score, issues } with the average property score and the failed checks, null if there is no scorecard.
+ */
+function getGA4ScorecardSummary() {
+  const rows = readSheetRecords('GA4_SCORECARD').filter(r => r['Property ID']);
+  if (rows.length === 0) return null;
+
+  const scores = {};
+  const failures = {};
+  rows.forEach(row => {
+    if (typeof row['Property Score'] === 'number') scores[row['Property ID']] = row['Property Score'];
+    if (row['Result'] === GA4_SCORECARD_RESULT.fail) failures[row['Check']] = (failures[row['Check']] || 0) + 1;
+  });
+
+  const propertyScores = Object.values(scores);
+  return {
+    score: propertyScores.length > 0 ? propertyScores.reduce((sum, s) => sum + s, 0) / propertyScores.length : 0,
+    issues: Object.keys(failures).map(check => `${failures[check]} properties fail: ${check}`)
+  };
+}
@@ -11,22 +11,78 @@ const GTM_TAGS_HEADERS = [
   'Container Name', 'Container ID', 'Workspace', 'Tag Name', 'Tag ID', 'Tag Type', 'Status',
   'Firing Triggers', 'Blocking Triggers', 'Firing Count', 'Blocking Count',
   'Key Parameters', 'Priority', 'Firing Option', 'Live Only', 'Schedule Start', 'Schedule End',
-  'Last Modified', 'Tag URL', 'Notes', 'Observations'
+  'Vendor', 'Consent Status', 'Consent Types', 'Measurement ID',
+  'Version Status', 'Last Modified', 'Tag URL', 'Folder', 'Notes', 'Observations'
 ];
 
 const GTM_VARIABLES_HEADERS = [
   'Container Name', 'Container ID', 'Workspace', 'Variable Name', 'Variable ID', 'Variable Type',
   'Key Parameters', 'Format Value', 'Disabling Triggers', 'Enabling Triggers',
   'Usage Status', 'Used By',
-  'Last Modified', 'Notes', 'Observations'
+  'Version Status', 'Last Modified', 'Notes', 'Observations'
 ];
 
 const GTM_TRIGGERS_HEADERS = [
   'Container Name', 'Container ID', 'Workspace', 'Trigger Name', 'Trigger ID', 'Trigger Type',
-  'Filters Summary', 'Wait for Tags', 'Check Validation', 'Wait Timeout', 'Event Names',
-  'Last Modified', 'Notes', 'Observations'
+  'Filters Summary', 'Wait for Tags', 'Check Validation', 'Wait Timeout', 'Event Names', 'Condition Issues',
+  'Version Status', 'Last Modified', 'Notes', 'Observations'
 ];
 
+const GTM_BUILT_INS_HEADERS = [
+  'Container Name', 'Container ID', 'Workspace', 'Built-in Name', 'Built-in Type',
+  'Version Status', 'Usage Status', 'Used By', 'Notes'
+];
+
+// Version status labels used to compare workspace drafts against the live version
+const GTM_VERSION_STATUS = {
+  live: 'Live',
+  draftOnly: 'Draft-only',
+  draftModified: 'Draft-modified',
+  deletedInDraft: 'Live (deleted in draft)',
+  unknown: 'Unknown'
+};
+
+// Built-in triggers are referenced by ID in tags but are not returned by the triggers endpoint
+const GTM_BUILT_IN_TRIGGERS = {
+  '2147479553': 'All Pages',
+  '2147479572': 'Consent Initialization - All Pages',
+  '2147479573': 'Initialization - All Pages'
+};
+
+// Event type of each built-in trigger (same values as trigger.type)
+const GTM_BUILT_IN_TRIGGER_TYPES = {
+  '2147479553': 'pageview',
+  '2147479572': 'consentInit',
+  '2147479573': 'init'
+};
+
+// Tag vendors, detected by tag type first and then by code/URL patterns (Custom HTML, gallery templates)
+const GTM_TAG_VENDORS = [
+  { vendor: 'Google Analytics', googleTag: true, types: ['ua', 'gaawc', 'gaawe', 'googtag'], patterns: [/googletagmanager\.com\/gtag/, /google-analytics\.com/] },
+  { vendor: 'Google Ads', googleTag: true, types: ['awct', 'sp', 'gclidw', 'awcc', 'awud'], patterns: [/googleadservices\.com/] },
+  { vendor: 'Floodlight', googleTag: true, types: ['flc', 'fls'], patterns: [/fls\.doubleclick\.net/] },
+  { vendor: 'Meta', types: [], patterns: [/connect\.facebook\.net/, /\bfbq\s*\(/, /facebook pixel/i, /meta pixel/i] },
+  { vendor: 'TikTok', types: [], patterns: [/analytics\.tiktok\.com/, /\bttq\./, /tiktok/i] },
+  { vendor: 'LinkedIn', types: ['bzi'], patterns: [/snap\.licdn\.com/, /_linkedin_partner_id/, /linkedin/i] },
+  { vendor: 'Hotjar', types: ['hjtc'], patterns: [/static\.hotjar\.com/, /hotjar/i] },
+  { vendor: 'Pinterest', types: ['pntr'], patterns: [/s\.pinimg\.com/, /\bpintrk\s*\(/] },
+  { vendor: 'Microsoft Ads', types: ['baut'], patterns: [/bat\.bing\.com/, /\buetq\b/] },
+  { vendor: 'X (Twitter)', types: ['twitter_website_tag'], patterns: [/static\.ads-twitter\.com/, /\btwq\s*\(/] },
+  { vendor: 'Criteo', types: ['crto'], patterns: [/static\.criteo\.net/, /criteo_q/] },
+  { vendor: 'Microsoft Clarity', types: [], patterns: [/clarity\.ms/] }
+];
+
+// GA4 tag types: Google tag, GA4 Configuration (legacy) and GA4 Event
+const GTM_GA4_TAG_TYPES = ['googtag', 'gaawc', 'gaawe'];
+
+// Entity fields that change between workspace and version copies without a real edit
+const GTM_VOLATILE_FIELDS = [
+  'accountId', 'containerId', 'workspaceId', 'containerVersionId', 'fingerprint', 'path', 'tagManagerUrl'
+];
+
+// Severity levels of the GTM code scan and trigger validation findings
+const GTM_SEVERITY = { high: 'High', medium: 'Medium', low: 'Low', info: 'Info' };
+
 // =================================================================
 // SYNCHRONIZATION FUNCTIONS (EXECUTABLE FROM MENU)
 // =================================================================
@@ -39,7 +95,7 @@ function syncGTMWithUI() {
     const details = result.details;
     const body = `Containers: ${details.containersProcessed} (${details.containersFound} found) | Tags: ${details.tags} | Variables: ${details.variables} | Triggers: ${details.triggers}\n\n` +
       `Total: ${result.records} elements | Time: ${Math.round(result.duration / 1000)}s\n\n` +
-      `Data written to GTM_TAGS, GTM_VARIABLES, GTM_TRIGGERS.`;
+      `Data written to GTM_TAGS, GTM_VARIABLES, GTM_TRIGGERS, GTM_BUILT_INS, GTM_VERSIONS, GTM_DEPENDENCIES, GTM_CLEANUP, GTM_CONSENT, GTM_CODE_SCAN, GTM_TEMPLATES, GTM_TRIGGER_VALIDATION, GTM_WORKSPACES, GTM_NAMING, GTM_DUPLICATES, GTM_WEIGHT, GTM_ENVIRONMENTS, GTM_GA4_CROSSCHECK and the GTM_SERVER_* sheets.`;
     ui.alert('GTM Synchronized', body, ui.ButtonSet.OK);
   } else {
     const body = `Synchronization failed: ${result.error}\n\n` +
@@ -80,7 +136,7 @@ function syncGTMCore() {
       logWarning('GTM', 'No accessible GTM containers found');
 
       // ALWAYS create GTM sheets, even without containers
-      const emptyData = { tags: [], variables: [], triggers: [] };
+      const emptyData = createEmptyGTMData();
       writeAggregatedGTMData(emptyData);
 
       const duration = Date.now() - startTime;
@@ -100,7 +156,7 @@ function syncGTMCore() {
       logWarning('GTM', 'No containers to process after filtering');
 
       // ALWAYS create GTM sheets, even without filtered containers
-      const emptyData = { tags: [], variables: [], triggers: [] };
+      const emptyData = createEmptyGTMData();
       writeAggregatedGTMData(emptyData);
 
       const duration = Date.now() - startTime;
@@ -209,14 +265,20 @@ function getAllGTMContainers() {
   }
 }
 
+/**
+ * Whether a container is a server-side (sGTM) container.
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @returns {boolean} True if the usage context includes server.
+ */
+function isGTMServerContainer(container) {
+  return (container.usageContext || []).includes('server');
+}
+
 /**
  * Gets specified workspaces from a container (with filters)
  */
 function getGTMWorkspaces(container) {
   try {
-    const auth = getAuthConfig('gtm');
-    const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
-
     // Get workspace filters from configuration with safe handling
     let workspaceFilters = '';
     try {
@@ -234,12 +296,7 @@ function getGTMWorkspaces(container) {
     const targetWorkspaces = workspaceFilters ?
       workspaceFilters.split(',').map(w => w.trim()).filter(w => w.length > 0) : [];
 
-    const workspacesUrl = `https://tagmanager.googleapis.com/tagmanager/v2/accounts/${container.accountId}/containers/${container.containerId}/workspaces`;
-    const workspacesResponse = fetchWithRetry(workspacesUrl, options, 'GTM-Workspaces');
-
-    if (!workspacesResponse.workspace || workspacesResponse.workspace.length === 0) {
-      throw new Error(`No workspaces found for ${container.name}`);
-    }
+    const workspaces = listGTMWorkspaces(container);
 
     let selectedWorkspaces = [];
 
@@ -247,7 +304,7 @@ function getGTMWorkspaces(container) {
       // Apply workspace filters
       logEvent('GTM', `Applying workspace filter for ${container.name}: ${targetWorkspaces.join(', ')}`);
 
-      selectedWorkspaces = workspacesResponse.workspace.filter(ws => {
+      selectedWorkspaces = workspaces.filter(ws => {
         return targetWorkspaces.some(filter =>
           ws.name.toLowerCase().includes(filter.toLowerCase()) ||
           filter.toLowerCase().includes(ws.name.toLowerCase())
@@ -257,22 +314,22 @@ function getGTMWorkspaces(container) {
       if (selectedWorkspaces.length === 0) {
         logWarning('GTM', `No workspaces match the filter in ${container.name}. Using Default Workspace.`);
         // Fallback to default if no matches
-        const defaultWorkspace = workspacesResponse.workspace.find(ws =>
+        const defaultWorkspace = workspaces.find(ws =>
           ws.name === 'Default Workspace' || ws.name.toLowerCase().includes('default')
-        ) || workspacesResponse.workspace[0];
+        ) || workspaces[0];
         selectedWorkspaces = [defaultWorkspace];
       }
     } else {
       // No filters: use only the default workspace
-      const defaultWorkspace = workspacesResponse.workspace.find(ws =>
+      const defaultWorkspace = workspaces.find(ws =>
         ws.name === 'Default Workspace' || ws.name.toLowerCase().includes('default')
       );
 
       if (defaultWorkspace) {
         selectedWorkspaces = [defaultWorkspace];
       } else {
-        selectedWorkspaces = [workspacesResponse.workspace[0]];
-        logWarning('GTM', `No 'Default Workspace' found in ${container.name}, using: ${workspacesResponse.workspace[0].name}`);
+        selectedWorkspaces = [workspaces[0]];
+        logWarning('GTM', `No 'Default Workspace' found in ${container.name}, using: ${workspaces[0].name}`);
       }
     }
 
@@ -286,16 +343,117 @@ function getGTMWorkspaces(container) {
 }
 
 /**
- * Gets the default workspace from a container (legacy functionality)
+ * Lists all workspaces of a container (no filters applied).
+ * @param {Object} container - Container with accountId and containerId.
+ * @returns {Array<Object>} Workspaces from the API.
+ */
+function listGTMWorkspaces(container) {
+  const auth = getAuthConfig('gtm');
+  const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
+  const workspacesUrl = `https://tagmanager.googleapis.com/tagmanager/v2/accounts/${container.accountId}/containers/${container.containerId}/workspaces`;
+  const workspacesResponse = fetchWithRetry(workspacesUrl, options, 'GTM-Workspaces');
+
+  if (!workspacesResponse.workspace || workspacesResponse.workspace.length === 0) {
+    throw new Error(`No workspaces found for ${container.name}`);
+  }
+  return workspacesResponse.workspace;
+}
+
+/**
+ * Finds a workspace of a container by name.
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @param {string} [workspaceName] - Workspace name. Defaults to the Default Workspace.
+ * @returns {Object} Workspace from the API.
+ */
+function findGTMWorkspace(container, workspaceName) {
+  const workspaces = listGTMWorkspaces(container);
+
+  if (!workspaceName) {
+    return workspaces.find(ws => ws.name === 'Default Workspace') || workspaces[0];
+  }
+
+  const workspace = workspaces.find(ws => ws.name.toLowerCase() === workspaceName.toLowerCase());
+  if (!workspace) throw new Error(`Workspace "${workspaceName}" not found in ${container.name}`);
+  return workspace;
+}
+
+/**
+ * Gets the live (published) version of a container.
+ * @param {Object} container - Container with accountId and containerId.
+ * @returns {Object|null} The live container version, or null if it was never published.
  */
+function getLiveGTMVersion(container) {
+  const auth = getAuthConfig('gtm');
+  const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
+
+  try {
+    const liveUrl = `https://tagmanager.googleapis.com/tagmanager/v2/accounts/${container.accountId}/containers/${container.containerId}/versions:live`;
+    const liveVersion = fetchWithRetry(liveUrl, options, 'GTM-LiveVersion');
+
+    if (!liveVersion || !liveVersion.containerVersionId) {
+      logWarning('GTM', `No published version found for ${container.name}`);
+      return null;
+    }
+
+    logEvent('GTM', `🚀 Live version for ${container.name}: v${liveVersion.containerVersionId} (${(liveVersion.tag || []).length} tags)`);
+    return liveVersion;
+
+  } catch (error) {
+    // A container that was never published has no live version (404)
+    if (error.message.includes('404')) {
+      logWarning('GTM', `Container ${container.name} has never been published`);
+      return null;
+    }
+    logError('GTM', `Error getting live version for ${container.name}: ${error.message}`);
+    throw error;
+  }
+}
+
 // =================================================================
 // DATA COLLECTION
 // =================================================================
 
+/**
+ * Creates the aggregated data object filled by collectDataFromContainers (one array per sheet).
+ * @returns {Object} Empty aggregated GTM data.
+ */
+function createEmptyGTMData() {
+  return {
+    tags: [], variables: [], triggers: [], builtIns: [], versions: [], dependencies: [],
+    cleanup: [], consent: [], codeScan: [], templates: [], triggerValidation: [], workspaces: [], naming: [], duplicates: [], weight: [], environments: [], ga4CrossCheck: [],
+    serverTags: [], serverTriggers: [], serverClients: [], serverTransformations: [], serverLinks: []
+  };
+}
+
 function collectDataFromContainers(containers, errors) {
-  const data = { tags: [], variables: [], triggers: [] };
+  const data = createEmptyGTMData();
+  const webGA4Tags = [];
   let processed = 0;
 
+  // Naming rules are read once from the editable GTM_NAMING_RULES sheet
+  let namingRules = [];
+  try {
+    namingRules = getOrCreateGTMNamingRulesSheet();
+  } catch (namingError) {
+    logWarning('GTM', `Naming rules unavailable: ${namingError.message}`);
+  }
+
+  // Previous container sizes, used for the weight trend
+  let weightSnapshots = {};
+  try {
+    weightSnapshots = getLastGTMWeightSnapshots();
+  } catch (historyError) {
+    logWarning('GTM', `Container weight history unavailable: ${historyError.message}`);
+  }
+
+  // Descriptions and dates of versions seen live in previous audits
+  let knownVersionDetails = {};
+  try {
+    knownVersionDetails = getKnownGTMVersionDetails();
+  } catch (versionsError) {
+    logWarning('GTM', `Previous version details unavailable: ${versionsError.message}`);
+  }
+
   for (const container of containers) {
     try {
       logEvent('GTM', `📦 [${processed + 1}/${containers.length}] Processing: ${container.name}`);
@@ -305,19 +463,74 @@ function collectDataFromContainers(containers, errors) {
         throw new Error(`Could not get workspaces for ${container.name}`);
       }
 
+      // Live version is fetched once per container and shared by all its workspaces
+      let liveIndex = null;
+      let liveVersion = null;
+      try {
+        liveVersion = getLiveGTMVersion(container);
+        liveIndex = buildGTMLiveIndex(liveVersion);
+      } catch (liveError) {
+        logWarning('GTM', `Version status unavailable for ${container.name}: ${liveError.message}`);
+      }
+
+      if (liveIndex) {
+        try {
+          data.weight.push(buildGTMContainerWeight(liveVersion, container, weightSnapshots));
+        } catch (weightError) {
+          logWarning('GTM', `Container weight unavailable for ${container.name}: ${weightError.message}`);
+        }
+      }
+
+      try {
+        data.versions.push(...getGTMVersionHistory(container, liveVersion, knownVersionDetails));
+      } catch (versionsError) {
+        logWarning('GTM', `Version history unavailable for ${container.name}: ${versionsError.message}`);
+      }
+
+      try {
+        data.workspaces.push(...buildGTMWorkspaceHygiene(container));
+      } catch (hygieneError) {
+        logWarning('GTM', `Workspace hygiene unavailable for ${container.name}: ${hygieneError.message}`);
+      }
+
+      try {
+        data.environments.push(...getGTMEnvironments(container));
+      } catch (environmentsError) {
+        logWarning('GTM', `Environments unavailable for ${container.name}: ${environmentsError.message}`);
+      }
+
       // Process all selected workspaces
       for (const workspace of workspaces) {
         try {
           logEvent('GTM', `🔧 Processing workspace: ${workspace.name} in ${container.name}`);
 
-          const resources = getWorkspaceResources(workspace, container);
+          const resources = getWorkspaceResources(workspace, container, liveIndex);
 
           // Add data with detailed logging
           logEvent('GTM', `📊 ${container.name}/${workspace.name}: ${resources.tags.length} tags, ${resources.variables.length} variables, ${resources.triggers.length} triggers`);
 
-          data.tags.push(...resources.tags);
+          // Server containers get their own tag/trigger sheets
+          if (isGTMServerContainer(container)) {
+            data.serverTags.push(...resources.tags);
+            data.serverTriggers.push(...resources.triggers);
+            data.serverClients.push(...resources.clients);
+            data.serverTransformations.push(...resources.transformations);
+          } else {
+            data.tags.push(...resources.tags);
+            data.triggers.push(...resources.triggers);
+            resources.raw.tags.filter(t => GTM_GA4_TAG_TYPES.includes(t.type))
+              .forEach(tag => webGA4Tags.push({ tag, container, workspace }));
+          }
           data.variables.push(...resources.variables);
-          data.triggers.push(...resources.triggers);
+          data.builtIns.push(...resources.builtIns);
+          data.dependencies.push(...buildGTMDependencyEdges(resources.raw, container, workspace));
+          data.cleanup.push(...buildGTMCleanupReport(resources.raw, container, workspace));
+          data.consent.push(...buildGTMConsentReport(resources.raw, container, workspace));
+          data.codeScan.push(...buildGTMCodeScan(resources.raw, container, workspace));
+          data.templates.push(...buildGTMTemplateInventory(resources.raw, container, workspace));
+          data.triggerValidation.push(...buildGTMTriggerValidation(resources.raw, container, workspace));
+          data.naming.push(...buildGTMNamingReport(resources.raw, container, workspace, namingRules));
+          data.duplicates.push(...buildGTMDuplicateReport(resources.raw, container, workspace));
 
           Utilities.sleep(500); // Pause between workspaces
 
@@ -339,11 +552,30 @@ function collectDataFromContainers(containers, errors) {
     }
   }
 
+  try {
+    data.serverLinks.push(...buildGTMServerLinks(webGA4Tags, containers.filter(isGTMServerContainer)));
+  } catch (linksError) {
+    logWarning('GTM', `Server container links unavailable: ${linksError.message}`);
+  }
+
+  try {
+    data.ga4CrossCheck.push(...buildGTMGA4CrossCheck(data.tags));
+  } catch (crossCheckError) {
+    logWarning('GTM', `GA4/GTM cross-check unavailable: ${crossCheckError.message}`);
+  }
+
   logEvent('GTM', `🎯 Collection completed: ${processed} containers processed, ${errors.length} errors`);
   return data;
 }
 
-function getWorkspaceResources(workspace, container) {
+/**
+ * Fetches and processes the tags, variables, triggers and built-ins of a workspace.
+ * @param {Object} workspace - Workspace object from the API.
+ * @param {Object} container - Container the workspace belongs to.
+ * @param {Object|null} liveIndex - Index of the live version (see buildGTMLiveIndex), null if unavailable.
+ * @returns {Object} Processed rows per entity type.
+ */
+function getWorkspaceResources(workspace, container, liveIndex = null) {
   const auth = getAuthConfig('gtm');
   const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
 
@@ -366,101 +598,288 @@ function getWorkspaceResources(workspace, container) {
     const triggersResponse = fetchWithRetry(triggersUrl, options, 'GTM-Triggers');
     Utilities.sleep(300);
 
+    // Get enabled Built-in Variables
+    logEvent('GTM', `🧩 Getting built-in variables from ${container.name}`);
+    const builtInsUrl = `https://tagmanager.googleapis.com/tagmanager/v2/${workspace.path}/built_in_variables`;
+    const builtInsResponse = fetchWithRetry(builtInsUrl, options, 'GTM-BuiltIns');
+    Utilities.sleep(300);
+
+    // Get Folders (tag folder column and clean-up report)
+    let folders = [];
+    try {
+      const foldersUrl = `https://tagmanager.googleapis.com/tagmanager/v2/${workspace.path}/folders`;
+      folders = fetchWithRetry(foldersUrl, options, 'GTM-Folders').folder || [];
+      Utilities.sleep(300);
+    } catch (e) {
+      logWarning('GTM', `Could not get folders from ${container.name}: ${e.message}`);
+    }
+
+    // Get Custom Templates (only used for the template inventory)
+    let templates = [];
+    try {
+      const templatesUrl = `https://tagmanager.googleapis.com/tagmanager/v2/${workspace.path}/templates`;
+      templates = fetchWithRetry(templatesUrl, options, 'GTM-Templates').template || [];
+      Utilities.sleep(300);
+    } catch (e) {
+      logWarning('GTM', `Could not get custom templates from ${container.name}: ${e.message}`);
+    }
+
+    // Get Clients and Transformations (server containers only)
+    let clients = [];
+    let transformations = [];
+    if (isGTMServerContainer(container)) {
+      logEvent('GTM', `🖥️ Getting clients and transformations from ${container.name}`);
+      try {
+        clients = fetchWithRetry(`https://tagmanager.googleapis.com/tagmanager/v2/${workspace.path}/clients`, options, 'GTM-Clients').client || [];
+        Utilities.sleep(300);
+      } catch (e) {
+        logWarning('GTM', `Could not get clients from ${container.name}: ${e.message}`);
+      }
+      try {
+        transformations = fetchWithRetry(`https://tagmanager.googleapis.com/tagmanager/v2/${workspace.path}/transformations`, options, 'GTM-Transformations').transformation || [];
+        Utilities.sleep(300);
+      } catch (e) {
+        logWarning('GTM', `Could not get transformations from ${container.name}: ${e.message}`);
+      }
+    }
+
+    // Get Zones (only used for the variable usage analysis)
+    let zones = [];
+    try {
+      const zonesUrl = `https://tagmanager.googleapis.com/tagmanager/v2/${workspace.path}/zones`;
+      zones = fetchWithRetry(zonesUrl, options, 'GTM-Zones').zone || [];
+      Utilities.sleep(300);
+    } catch (e) {
+      logWarning('GTM', `Could not get zones from ${container.name}: ${e.message}`);
+    }
+
+    const tags = tagsResponse.tag || [];
+    const variables = variablesResponse.variable || [];
+    const triggers = triggersResponse.trigger || [];
+    const builtIns = builtInsResponse.builtInVariable || [];
+
     // Analyze variable usage
     logEvent('GTM', '🔍 Analyzing variable usage...');
-    const usageMap = analyzeVariableUsage(
-      tagsResponse.tag || [],
-      triggersResponse.trigger || [],
-      variablesResponse.variable || []
-    );
-
-    return {
-      tags: (tagsResponse.tag || []).map(t => processGTMTag(t, container, workspace)),
-      variables: (variablesResponse.variable || []).map(v => processGTMVariable(v, container, workspace, usageMap[v.name])),
-      triggers: (triggersResponse.trigger || []).map(tr => processGTMTrigger(tr, container, workspace))
+    const usageMap = analyzeVariableUsage(tags, triggers, variables, builtIns, zones);
+
+    // Trigger names (live triggers first so draft names take precedence)
+    const triggerNames = { ...GTM_BUILT_IN_TRIGGERS };
+    if (liveIndex) Object.values(liveIndex.trigger).forEach(tr => { triggerNames[tr.triggerId] = tr.name; });
+    triggers.forEach(tr => { triggerNames[tr.triggerId] = tr.name; });
+
+    const folderNames = {};
+    folders.forEach(f => { folderNames[f.folderId] = f.name; });
+
+    const result = {
+      tags: tags.map(t => processGTMTag(t, container, workspace, getGTMVersionStatus(t, liveIndex, 'tag'), triggerNames, folderNames)),
+      variables: variables.map(v => processGTMVariable(v, container, workspace, usageMap[v.name], getGTMVersionStatus(v, liveIndex, 'variable'))),
+      triggers: triggers.map(tr => processGTMTrigger(tr, container, workspace, getGTMVersionStatus(tr, liveIndex, 'trigger'))),
+      builtIns: builtIns.map(b => processGTMBuiltIn(b, container, workspace, getGTMVersionStatus(b, liveIndex, 'builtIn'), usageMap[b.name])),
+      clients: clients.map(c => processGTMClient(c, container, workspace)),
+      transformations: transformations.map(tf => processGTMTransformation(tf, container, workspace)),
+      raw: { tags, variables, triggers, builtIns, zones, folders, templates, clients, transformations }
     };
 
+    // Entities that are live but no longer exist in this workspace
+    if (liveIndex && liveIndex.published) {
+      const draftIds = {
+        tag: new Set(tags.map(t => t.tagId)),
+        variable: new Set(variables.map(v => v.variableId)),
+        trigger: new Set(triggers.map(tr => tr.triggerId)),
+        builtIn: new Set(builtIns.map(b => b.type))
+      };
+      const deleted = GTM_VERSION_STATUS.deletedInDraft;
+
+      Object.values(liveIndex.tag).filter(t => !draftIds.tag.has(t.tagId))
+        .forEach(t => result.tags.push(processGTMTag(t, container, workspace, deleted, triggerNames, folderNames)));
+      Object.values(liveIndex.variable).filter(v => !draftIds.variable.has(v.variableId))
+        .forEach(v => result.variables.push(processGTMVariable(v, container, workspace, null, deleted)));
+      Object.values(liveIndex.trigger).filter(tr => !draftIds.trigger.has(tr.triggerId))
+        .forEach(tr => result.triggers.push(processGTMTrigger(tr, container, workspace, deleted)));
+      Object.values(liveIndex.builtIn).filter(b => !draftIds.builtIn.has(b.type))
+        .forEach(b => result.builtIns.push(processGTMBuiltIn(b, container, workspace, deleted)));
+    }
+
+    return result;
+
   } catch (error) {
     logError('GTM', `Error getting workspace resources ${workspace.name}: ${error.message}`);
     throw error;
   }
 }
 
+// =================================================================
+// LIVE VERSION COMPARISON
+// =================================================================
+
+/**
+ * Indexes the entities of a live version by ID for fast draft comparison.
+ * @param {Object|null} liveVersion - Live container version, or null if never published.
+ * @returns {Object} Index with tag, trigger, variable and builtIn maps.
+ */
+function buildGTMLiveIndex(liveVersion) {
+  const index = {
+    published: !!liveVersion,
+    versionId: liveVersion ? liveVersion.containerVersionId : null,
+    tag: {},
+    trigger: {},
+    variable: {},
+    builtIn: {}
+  };
+
+  if (!liveVersion) return index;
+
+  (liveVersion.tag || []).forEach(t => { index.tag[t.tagId] = t; });
+  (liveVersion.trigger || []).forEach(tr => { index.trigger[tr.triggerId] = tr; });
+  (liveVersion.variable || []).forEach(v => { index.variable[v.variableId] = v; });
+  (liveVersion.builtInVariable || []).forEach(b => { index.builtIn[b.type] = b; });
+
+  return index;
+}
+
 /**
- * Analyzes variable usage across tags, triggers, and other variables.
+ * Determines whether a workspace entity matches the live version.
+ * @param {Object} entity - Workspace tag, trigger, variable or built-in variable.
+ * @param {Object|null} liveIndex - Index from buildGTMLiveIndex, null if the live version could not be read.
+ * @param {string} entityType - 'tag', 'trigger', 'variable' or 'builtIn'.
+ * @returns {string} One of the GTM_VERSION_STATUS labels.
+ */
+function getGTMVersionStatus(entity, liveIndex, entityType) {
+  if (!liveIndex) return GTM_VERSION_STATUS.unknown;
+
+  const idFields = { tag: 'tagId', trigger: 'triggerId', variable: 'variableId', builtIn: 'type' };
+  const liveEntity = liveIndex[entityType][entity[idFields[entityType]]];
+
+  if (!liveEntity) return GTM_VERSION_STATUS.draftOnly;
+
+  // Built-ins have no editable content: enabled in both means live
+  if (entityType === 'builtIn') return GTM_VERSION_STATUS.live;
+
+  if (entity.fingerprint && entity.fingerprint === liveEntity.fingerprint) {
+    return GTM_VERSION_STATUS.live;
+  }
+
+  return normalizeGTMEntity(entity) === normalizeGTMEntity(liveEntity)
+    ? GTM_VERSION_STATUS.live
+    : GTM_VERSION_STATUS.draftModified;
+}
+
+/**
+ * Serializes an entity with sorted keys, ignoring fields that differ between
+ * workspace and version copies (IDs of the parent, fingerprint, paths, URLs).
+ * @param {Object} entity - GTM entity.
+ * @returns {string} Stable JSON representation.
+ */
+function normalizeGTMEntity(entity) {
+  const normalize = (value) => {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+      const clean = {};
+      Object.keys(value).sort().forEach(key => {
+        if (!GTM_VOLATILE_FIELDS.includes(key)) {
+          clean[key] = normalize(value[key]);
+        }
+      });
+      return clean;
+    }
+    return value;
+  };
+  return JSON.stringify(normalize(entity));
+}
+
+/**
+ * Analyzes variable usage across tags, triggers, other variables and zones.
+ * The full parameter tree is scanned, so references inside list/map parameters
+ * (event parameter tables, lookup tables, Custom HTML) are found too.
  * @param {Array} tags - All tags in the workspace
  * @param {Array} triggers - All triggers in the workspace
  * @param {Array} variables - All variables in the workspace
+ * @param {Array} builtIns - Enabled built-in variables in the workspace
+ * @param {Array} zones - All zones in the workspace
  * @returns {Object} Map of variableName -> { usedBy: [...], isUsed: boolean }
  */
-function analyzeVariableUsage(tags, triggers, variables) {
+function analyzeVariableUsage(tags, triggers, variables, builtIns = [], zones = []) {
   const usageMap = {};
 
-  // Initialize all variables as unused
-  variables.forEach(v => {
+  // Initialize all variables (custom and built-in) as unused
+  variables.concat(builtIns).forEach(v => {
     usageMap[v.name] = { usedBy: [], isUsed: false };
   });
 
-  // Helper to find variable references in a string
-  const findVariableReferences = (str, sourceType, sourceName) => {
-    if (!str || typeof str !== 'string') return;
-    const regex = /\{\{([^}]+)\}\}/g;
-    let match;
-    while ((match = regex.exec(str)) !== null) {
-      const varName = match[1];
-      if (usageMap[varName]) {
-        usageMap[varName].usedBy.push(`${sourceType}: ${sourceName}`);
-        usageMap[varName].isUsed = true;
+  const scanEntity = (entity, sourceType) => {
+    findGTMVariableReferences(entity).forEach(ref => {
+      const usage = usageMap[ref.name];
+      if (usage) {
+        usage.usedBy.push(`${sourceType}: ${entity.name} (${ref.path})`);
+        usage.isUsed = true;
       }
-    }
+    });
   };
 
-  // Check tags for variable usage
-  tags.forEach(tag => {
-    if (tag.parameter) {
-      tag.parameter.forEach(param => {
-        findVariableReferences(param.value, 'Tag', tag.name);
-      });
-    }
-    // Also check tag configurations properties if they exist
-    if (tag.monitoringMetadata) { // Example of deep check
-      findVariableReferences(JSON.stringify(tag.monitoringMetadata), 'Tag Metadata', tag.name);
-    }
-  });
+  tags.forEach(tag => scanEntity(tag, 'Tag'));
+  triggers.forEach(trigger => scanEntity(trigger, 'Trigger'));
+  variables.forEach(variable => scanEntity(variable, 'Variable'));
+  zones.forEach(zone => scanEntity(zone, 'Zone'));
 
-  // Check triggers for variable usage
-  triggers.forEach(trigger => {
-    if (trigger.filter) {
-      trigger.filter.forEach(f => {
-        if (f.parameter) {
-          f.parameter.forEach(param => {
-            findVariableReferences(param.value, 'Trigger', trigger.name);
-          });
-        }
-      });
-    }
-    // Also check custom event names
-    if (trigger.eventName) {
-      findVariableReferences(trigger.eventName, 'Trigger', trigger.name);
-    }
-    // Check custom parameters in triggers
-    if (trigger.parameter) {
-      trigger.parameter.forEach(param => {
-        findVariableReferences(param.value, 'Trigger', trigger.name);
-      });
-    }
-  });
+  return usageMap;
+}
 
-  // Check variables for nested references
-  variables.forEach(variable => {
-    if (variable.parameter) {
-      variable.parameter.forEach(param => {
-        findVariableReferences(param.value, 'Variable', variable.name);
-      });
-    }
+/**
+ * Finds every {{variable}} reference inside a GTM entity with the parameter path where it appears.
+ * Identity fields (name, notes, IDs, paths) are not scanned.
+ * @param {Object} entity - Tag, trigger, variable or zone.
+ * @returns {Array<Object>} References as { name, path }, e.g. path "parameter.eventSettingsTable[0].parameterValue".
+ */
+function findGTMVariableReferences(entity) {
+  const references = [];
+  const skipped = GTM_VOLATILE_FIELDS.concat(['name', 'notes']);
+  const regex = /\{\{([^}]+)\}\}/g;
+
+  Object.keys(entity || {}).filter(key => !skipped.includes(key)).forEach(key => {
+    walkGTMParameters(entity[key], key, (str, path) => {
+      let match;
+      regex.lastIndex = 0;
+      while ((match = regex.exec(str)) !== null) {
+        references.push({ name: match[1], path: path });
+      }
+    });
   });
 
-  return usageMap;
+  return references;
+}
+
+/**
+ * Recursively walks a GTM parameter tree and calls visit(string, path) for every string value.
+ * Keyed parameters add ".key" to the path; unkeyed list items add "[index]".
+ * @param {*} node - Parameter, parameter array or any nested value.
+ * @param {string} path - Path of the node.
+ * @param {function(string, string)} visit - Callback for string values.
+ */
+function walkGTMParameters(node, path, visit) {
+  if (node === null || node === undefined) return;
+
+  if (typeof node === 'string') {
+    visit(node, path);
+    return;
+  }
+
+  if (Array.isArray(node)) {
+    node.forEach((item, index) => {
+      const itemPath = item && typeof item === 'object' && item.key ? `${path}.${item.key}` : `${path}[${index}]`;
+      walkGTMParameters(item, itemPath, visit);
+    });
+    return;
+  }
+
+  if (typeof node === 'object') {
+    // A parameter's value/list/map belong to the parameter path itself
+    const isParameter = 'type' in node && ('value' in node || 'list' in node || 'map' in node);
+    Object.keys(node).forEach(key => {
+      if (isParameter && (key === 'type' || key === 'key')) return;
+      const childPath = isParameter && ['value', 'list', 'map'].includes(key) ? path : `${path}.${key}`;
+      walkGTMParameters(node[key], childPath, visit);
+    });
+  }
 }
 
 // =================================================================
@@ -470,7 +889,7 @@ function analyzeVariableUsage(tags, triggers, variables) {
 /**
  * Processes a GTM tag and extracts detailed information
  */
-function processGTMTag(tag, container, workspace) {
+function processGTMTag(tag, container, workspace, versionStatus = GTM_VERSION_STATUS.unknown, triggerNames = GTM_BUILT_IN_TRIGGERS, folderNames = {}) {
   try {
     // Basic information
     const tagData = {
@@ -481,13 +900,15 @@ function processGTMTag(tag, container, workspace) {
       'Tag ID': tag.tagId || 'N/A',
       'Tag Type': tag.type || 'N/A',
       'Status': tag.paused ? 'Paused' : 'Active',
+      'Version Status': versionStatus,
       'Last Modified': formatDate(tag.fingerprint) || 'N/A',
+      'Folder': tag.parentFolderId ? (folderNames[tag.parentFolderId] || `Folder ${tag.parentFolderId}`) : 'N/A',
       'Notes': tag.notes || 'N/A'
     };
 
     // Firing triggers
     if (tag.firingTriggerId && tag.firingTriggerId.length > 0) {
-      tagData['Firing Triggers'] = tag.firingTriggerId.join(', ');
+      tagData['Firing Triggers'] = formatGTMTriggerList(tag.firingTriggerId, triggerNames);
       tagData['Firing Count'] = tag.firingTriggerId.length;
     } else {
       tagData['Firing Triggers'] = 'No triggers';
@@ -496,7 +917,7 @@ function processGTMTag(tag, container, workspace) {
 
     // Blocking triggers
     if (tag.blockingTriggerId && tag.blockingTriggerId.length > 0) {
-      tagData['Blocking Triggers'] = tag.blockingTriggerId.join(', ');
+      tagData['Blocking Triggers'] = formatGTMTriggerList(tag.blockingTriggerId, triggerNames);
       tagData['Blocking Count'] = tag.blockingTriggerId.length;
     } else {
       tagData['Blocking Triggers'] = 'N/A';
@@ -518,6 +939,13 @@ function processGTMTag(tag, container, workspace) {
     tagData['Schedule Start'] = tag.scheduleStartMs ? formatDate(new Date(parseInt(tag.scheduleStartMs))) : 'N/A';
     tagData['Schedule End'] = tag.scheduleEndMs ? formatDate(new Date(parseInt(tag.scheduleEndMs))) : 'N/A';
 
+    // Vendor and consent settings
+    const consent = getGTMConsentSettings(tag);
+    tagData['Vendor'] = getGTMTagVendor(tag).vendor;
+    tagData['Consent Status'] = consent.status;
+    tagData['Consent Types'] = consent.types.join(', ') || 'N/A';
+    tagData['Measurement ID'] = GTM_GA4_TAG_TYPES.includes(tag.type) ? (getGTMGA4MeasurementId(tag) || 'N/A') : 'N/A';
+
     // Tag URL
     tagData['Tag URL'] = tag.tagManagerUrl || 'N/A';
 
@@ -528,6 +956,10 @@ function processGTMTag(tag, container, workspace) {
     if (tag.blockingTriggerId && tag.blockingTriggerId.length > 0) observations.push('Has blocking triggers');
     if (tag.liveOnly) observations.push('Live Only');
     if (tag.scheduleStartMs || tag.scheduleEndMs) observations.push('Scheduled');
+    if (consent.status === 'needed' && consent.types.length === 0) observations.push('Consent needed but no consent types set');
+    if (versionStatus === GTM_VERSION_STATUS.draftOnly) observations.push('Not published yet');
+    if (versionStatus === GTM_VERSION_STATUS.draftModified) observations.push('Unpublished changes');
+    if (versionStatus === GTM_VERSION_STATUS.deletedInDraft) observations.push('Still live - deleted in draft');
 
     tagData['Observations'] = observations.join('; ') || 'N/A';
 
@@ -545,10 +977,93 @@ function processGTMTag(tag, container, workspace) {
   }
 }
 
+/**
+ * Reads the additional consent checks of a tag.
+ * @param {Object} tag - GTM tag.
+ * @returns {Object} { status: 'notSet'|'notNeeded'|'needed', types: Array<string> }
+ */
+function getGTMConsentSettings(tag) {
+  const settings = tag.consentSettings || {};
+  const typeList = (settings.consentType && settings.consentType.list) || [];
+  return {
+    status: settings.consentStatus || 'notSet',
+    types: typeList.map(t => t.value).filter(Boolean)
+  };
+}
+
+/**
+ * Identifies the vendor of a tag from its type, name and parameters.
+ * @param {Object} tag - GTM tag.
+ * @returns {Object} { vendor, googleTag, known } - googleTag is true for tags with built-in consent checks,
+ *   known is false for Custom HTML, custom templates and other tags matching no GTM_TAG_VENDORS entry.
+ */
+function getGTMTagVendor(tag) {
+  const byType = GTM_TAG_VENDORS.find(v => v.types.includes(tag.type));
+  if (byType) return { vendor: byType.vendor, googleTag: !!byType.googleTag, known: true };
+
+  const content = `${tag.name || ''} ${JSON.stringify(tag.parameter || [])}`;
+  const byPattern = GTM_TAG_VENDORS.find(v => v.patterns.some(p => p.test(content)));
+  if (byPattern) return { vendor: byPattern.vendor, googleTag: !!byPattern.googleTag, known: true };
+
+  if (tag.type === 'html') return { vendor: 'Custom HTML', googleTag: false, known: false };
+  if (tag.type && tag.type.startsWith('cvt_')) return { vendor: 'Custom Template', googleTag: false, known: false };
+  return { vendor: 'Other', googleTag: false, known: false };
+}
+
+/**
+ * Reads a GA4 setting from a tag, either as a top-level parameter or as a row of a
+ * settings table (configSettingsTable, eventSettingsTable, fieldsToSet).
+ * @param {Object} tag - GTM tag.
+ * @param {Array<string>} names - Parameter keys or table field names to look for.
+ * @returns {string} Setting value, empty string if not set.
+ */
+function getGTMTagSetting(tag, names) {
+  for (const param of (tag.parameter || [])) {
+    if (names.includes(param.key) && param.value) return param.value;
+    for (const row of (param.list || [])) {
+      const fields = {};
+      (row.map || []).forEach(f => { fields[f.key] = f.value; });
+      const name = fields.parameter || fields.fieldName || fields.name;
+      const value = fields.parameterValue || fields.value;
+      if (names.includes(name) && value) return value;
+    }
+  }
+  return '';
+}
+
+/**
+ * Gets the measurement ID (G-XXXX or a {{variable}}) of a GA4 tag.
+ * @param {Object} tag - GTM tag of a GTM_GA4_TAG_TYPES type.
+ * @returns {string} Measurement ID, empty string if not found.
+ */
+function getGTMGA4MeasurementId(tag) {
+  return getGTMTagSetting(tag, ['tagId', 'measurementIdOverride', 'measurementId']);
+}
+
+/**
+ * Joins "Used By" entries, limiting the length to avoid cell overflow.
+ * @param {Array<string>} usedBy - Usage entries.
+ * @returns {string} Joined entries.
+ */
+function truncateGTMUsedBy(usedBy) {
+  const usedByStr = usedBy.join('; ');
+  return usedByStr.length > 2000 ? usedByStr.substring(0, 1997) + '...' : usedByStr;
+}
+
+/**
+ * Resolves trigger IDs to "Name (ID)" labels.
+ * @param {Array<string>} triggerIds - Trigger IDs referenced by a tag.
+ * @param {Object} triggerNames - Map of triggerId -> trigger name.
+ * @returns {string} Comma-separated trigger labels.
+ */
+function formatGTMTriggerList(triggerIds, triggerNames) {
+  return triggerIds.map(id => triggerNames[id] ? `${triggerNames[id]} (${id})` : `Unknown trigger (${id})`).join(', ');
+}
+
 /**
  * Processes a GTM variable and extracts detailed information
  */
-function processGTMVariable(variable, container, workspace, usageInfo = null) {
+function processGTMVariable(variable, container, workspace, usageInfo = null, versionStatus = GTM_VERSION_STATUS.unknown) {
   try {
     const variableData = {
       'Container Name': container.name || 'N/A',
@@ -557,6 +1072,7 @@ function processGTMVariable(variable, container, workspace, usageInfo = null) {
       'Variable Name': variable.name || 'N/A',
       'Variable ID': variable.variableId || 'N/A',
       'Variable Type': variable.type || 'N/A',
+      'Version Status': versionStatus,
       'Last Modified': formatDate(variable.fingerprint) || 'N/A',
       'Notes': variable.notes || 'N/A'
     };
@@ -588,11 +1104,7 @@ function processGTMVariable(variable, container, workspace, usageInfo = null) {
     // Usage status
     if (usageInfo) {
       variableData['Usage Status'] = usageInfo.isUsed ? 'Used' : 'UNUSED';
-      // Limit description length to avoid cell overflow
-      const usedByStr = usageInfo.usedBy.join('; ');
-      variableData['Used By'] = usedByStr.length > 2000
-        ? usedByStr.substring(0, 1997) + '...'
-        : (usedByStr || 'Not referenced');
+      variableData['Used By'] = truncateGTMUsedBy(usageInfo.usedBy) || 'Not referenced';
     } else {
       variableData['Usage Status'] = 'Unknown';
       variableData['Used By'] = 'Analysis not performed';
@@ -606,6 +1118,9 @@ function processGTMVariable(variable, container, workspace, usageInfo = null) {
     if (variable.type === 'jsm') observations.push('Custom JavaScript');
     if (variable.type === 'c') observations.push('Constant');
     if (usageInfo && !usageInfo.isUsed) observations.push('UNUSED - Consider removing');
+    if (versionStatus === GTM_VERSION_STATUS.draftOnly) observations.push('Not published yet');
+    if (versionStatus === GTM_VERSION_STATUS.draftModified) observations.push('Unpublished changes');
+    if (versionStatus === GTM_VERSION_STATUS.deletedInDraft) observations.push('Still live - deleted in draft');
 
     variableData['Observations'] = observations.join('; ') || 'N/A';
 
@@ -626,7 +1141,7 @@ function processGTMVariable(variable, container, workspace, usageInfo = null) {
 /**
  * Processes a GTM trigger and extracts detailed information
  */
-function processGTMTrigger(trigger, container, workspace) {
+function processGTMTrigger(trigger, container, workspace, versionStatus = GTM_VERSION_STATUS.unknown) {
   try {
     const triggerData = {
       'Container Name': container.name || 'N/A',
@@ -635,17 +1150,17 @@ function processGTMTrigger(trigger, container, workspace) {
       'Trigger Name': trigger.name || 'N/A',
       'Trigger ID': trigger.triggerId || 'N/A',
       'Trigger Type': trigger.type || 'N/A',
+      'Version Status': versionStatus,
       'Last Modified': formatDate(trigger.fingerprint) || 'N/A',
       'Notes': trigger.notes || 'N/A'
     };
 
     // Trigger filters
-    if (trigger.filter && trigger.filter.length > 0) {
-      const filterSummary = trigger.filter.map(f => {
-        const condition = f.parameter?.find(p => p.key === 'arg0')?.value || 'N/A';
-        const operator = f.type || 'N/A';
-        const value = f.parameter?.find(p => p.key === 'arg1')?.value || 'N/A';
-        return `${condition} ${operator} ${value}`;
+    const filters = parseGTMTriggerConditions(trigger).filter(c => c.source === 'filter');
+    if (filters.length > 0) {
+      const filterSummary = filters.map(c => {
+        const operator = c.negate ? `not ${c.operator}` : c.operator;
+        return `${c.variable || 'N/A'} ${operator} ${c.value || 'N/A'}`;
       }).join(' & ');
       triggerData['Filters Summary'] = filterSummary;
     } else {
@@ -666,12 +1181,20 @@ function processGTMTrigger(trigger, container, workspace) {
       triggerData['Event Names'] = 'N/A';
     }
 
+    // Condition validation (details in GTM_TRIGGER_VALIDATION)
+    const conditionIssues = validateGTMTriggerConditions(trigger);
+    triggerData['Condition Issues'] = conditionIssues.map(i => `[${i.severity}] ${i.issue}`).join('; ') || 'None';
+
     // Automatic observations
     const observations = [];
     if (trigger.type === 'customEvent') observations.push('Custom event');
     if (trigger.type === 'pageview') observations.push('Page view');
     if (trigger.waitForTags) observations.push('Waits for other tags');
     if (!trigger.filter || trigger.filter.length === 0) observations.push('No filters - fires always');
+    if (conditionIssues.some(i => i.severity === GTM_SEVERITY.high)) observations.push('Broken conditions - may never fire');
+    if (versionStatus === GTM_VERSION_STATUS.draftOnly) observations.push('Not published yet');
+    if (versionStatus === GTM_VERSION_STATUS.draftModified) observations.push('Unpublished changes');
+    if (versionStatus === GTM_VERSION_STATUS.deletedInDraft) observations.push('Still live - deleted in draft');
 
     triggerData['Observations'] = observations.join('; ') || 'N/A';
 
@@ -689,6 +1212,54 @@ function processGTMTrigger(trigger, container, workspace) {
   }
 }
 
+/**
+ * Parses the conditions of a trigger (customEventFilter, autoEventFilter and filter, in this order).
+ * All conditions of a trigger are combined with AND.
+ * @param {Object} trigger - GTM trigger.
+ * @returns {Array<Object>} Conditions as { source, operator, variable, value, negate, ignoreCase }.
+ */
+function parseGTMTriggerConditions(trigger) {
+  const conditions = [];
+  ['customEventFilter', 'autoEventFilter', 'filter'].forEach(source => {
+    (trigger[source] || []).forEach(f => {
+      const param = key => (f.parameter || []).find(p => p.key === key);
+      const flag = key => param(key) ? String(param(key).value) === 'true' : false;
+      conditions.push({
+        source: source,
+        operator: f.type || 'N/A',
+        variable: param('arg0') ? param('arg0').value : '',
+        value: param('arg1') ? param('arg1').value : '',
+        negate: flag('negate'),
+        ignoreCase: flag('ignore_case')
+      });
+    });
+  });
+  return conditions;
+}
+
+/**
+ * Processes an enabled GTM built-in variable
+ */
+function processGTMBuiltIn(builtIn, container, workspace, versionStatus = GTM_VERSION_STATUS.unknown, usageInfo = null) {
+  const notes = {
+    [GTM_VERSION_STATUS.live]: 'Enabled in workspace and live version',
+    [GTM_VERSION_STATUS.draftOnly]: 'Enabled in workspace only - not published yet',
+    [GTM_VERSION_STATUS.deletedInDraft]: 'Enabled live - disabled in workspace'
+  };
+
+  return {
+    'Container Name': container.name || 'N/A',
+    'Container ID': container.containerId || 'N/A',
+    'Workspace': workspace.name || 'N/A',
+    'Built-in Name': builtIn.name || 'N/A',
+    'Built-in Type': builtIn.type || 'N/A',
+    'Version Status': versionStatus,
+    'Usage Status': usageInfo ? (usageInfo.isUsed ? 'Used' : 'UNUSED') : 'Unknown',
+    'Used By': usageInfo ? (truncateGTMUsedBy(usageInfo.usedBy) || 'Not referenced') : 'Analysis not performed',
+    'Notes': notes[versionStatus] || 'N/A'
+  };
+}
+
 // =================================================================
 // WRITING FUNCTIONS
 // =================================================================
@@ -700,12 +1271,51 @@ function writeAggregatedGTMData(aggregatedData, errorMsg = null) {
     const tags = (aggregatedData && aggregatedData.tags) || null;
     const variables = (aggregatedData && aggregatedData.variables) || null;
     const triggers = (aggregatedData && aggregatedData.triggers) || null;
+    const builtIns = (aggregatedData && aggregatedData.builtIns) || null;
+    const versions = (aggregatedData && aggregatedData.versions) || null;
+    const dependencies = (aggregatedData && aggregatedData.dependencies) || null;
+    const cleanup = (aggregatedData && aggregatedData.cleanup) || null;
+    const consent = (aggregatedData && aggregatedData.consent) || null;
+    const codeScan = (aggregatedData && aggregatedData.codeScan) || null;
+    const templates = (aggregatedData && aggregatedData.templates) || null;
+    const triggerValidation = (aggregatedData && aggregatedData.triggerValidation) || null;
+    const workspaces = (aggregatedData && aggregatedData.workspaces) || null;
+    const naming = (aggregatedData && aggregatedData.naming) || null;
+    const duplicates = (aggregatedData && aggregatedData.duplicates) || null;
+    const weight = (aggregatedData && aggregatedData.weight) || null;
+    const environments = (aggregatedData && aggregatedData.environments) || null;
+    const ga4CrossCheck = (aggregatedData && aggregatedData.ga4CrossCheck) || null;
+    const serverTags = (aggregatedData && aggregatedData.serverTags) || null;
+    const serverTriggers = (aggregatedData && aggregatedData.serverTriggers) || null;
+    const serverClients = (aggregatedData && aggregatedData.serverClients) || null;
+    const serverTransformations = (aggregatedData && aggregatedData.serverTransformations) || null;
+    const serverLinks = (aggregatedData && aggregatedData.serverLinks) || null;
 
     writeDataToSheet('GTM_TAGS', GTM_TAGS_HEADERS, tags, 'GTM', errorMsg);
     writeDataToSheet('GTM_VARIABLES', GTM_VARIABLES_HEADERS, variables, 'GTM', errorMsg);
     writeDataToSheet('GTM_TRIGGERS', GTM_TRIGGERS_HEADERS, triggers, 'GTM', errorMsg);
+    writeDataToSheet('GTM_BUILT_INS', GTM_BUILT_INS_HEADERS, builtIns, 'GTM', errorMsg);
+    writeDataToSheet('GTM_VERSIONS', GTM_VERSIONS_HEADERS, versions, 'GTM', errorMsg);
+    writeDataToSheet('GTM_DEPENDENCIES', GTM_DEPENDENCIES_HEADERS, dependencies, 'GTM', errorMsg);
+    writeDataToSheet('GTM_CLEANUP', GTM_CLEANUP_HEADERS, cleanup, 'GTM', errorMsg);
+    writeDataToSheet('GTM_CONSENT', GTM_CONSENT_HEADERS, consent, 'GTM', errorMsg);
+    writeDataToSheet('GTM_CODE_SCAN', GTM_CODE_SCAN_HEADERS, codeScan, 'GTM', errorMsg);
+    writeDataToSheet('GTM_TEMPLATES', GTM_TEMPLATES_HEADERS, templates, 'GTM', errorMsg);
+    writeDataToSheet('GTM_TRIGGER_VALIDATION', GTM_TRIGGER_VALIDATION_HEADERS, triggerValidation, 'GTM', errorMsg);
+    writeDataToSheet('GTM_WORKSPACES', GTM_WORKSPACES_HEADERS, workspaces, 'GTM', errorMsg);
+    writeDataToSheet('GTM_NAMING', GTM_NAMING_HEADERS, naming, 'GTM', errorMsg);
+    writeDataToSheet('GTM_DUPLICATES', GTM_DUPLICATES_HEADERS, duplicates, 'GTM', errorMsg);
+    writeDataToSheet('GTM_WEIGHT', GTM_WEIGHT_HEADERS, weight, 'GTM', errorMsg);
+    writeDataToSheet('GTM_ENVIRONMENTS', GTM_ENVIRONMENTS_HEADERS, environments, 'GTM', errorMsg);
+    writeDataToSheet('GTM_GA4_CROSSCHECK', GTM_GA4_CROSSCHECK_HEADERS, ga4CrossCheck, 'GTM', errorMsg);
+    writeDataToSheet('GTM_SERVER_TAGS', GTM_TAGS_HEADERS, serverTags, 'GTM', errorMsg);
+    writeDataToSheet('GTM_SERVER_TRIGGERS', GTM_TRIGGERS_HEADERS, serverTriggers, 'GTM', errorMsg);
+    writeDataToSheet('GTM_SERVER_CLIENTS', GTM_SERVER_CLIENTS_HEADERS, serverClients, 'GTM', errorMsg);
+    writeDataToSheet('GTM_SERVER_TRANSFORMATIONS', GTM_SERVER_TRANSFORMATIONS_HEADERS, serverTransformations, 'GTM', errorMsg);
+    writeDataToSheet('GTM_SERVER_LINKS', GTM_SERVER_LINKS_HEADERS, serverLinks, 'GTM', errorMsg);
 
     if (!errorMsg) {
+      recordGTMWeightHistory(weight);
       logEvent('GTM', '✅ Data written correctly to all sheets');
     }
 
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview GTM Clean-up Module.
+ * Dead-code analysis per workspace: unreachable tags, unused triggers and variables, empty folders.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_CLEANUP_HEADERS = [
+  'Container Name', 'Container ID', 'Workspace', 'Item Type', 'Item Name', 'Item ID',
+  'Issue', 'Recommended Action', 'Details'
+];
+
+// =================================================================
+// CLEAN-UP REPORT (CALLED FROM THE GTM SYNC)
+// =================================================================
+
+/**
+ * Builds the dead-code report of a workspace.
+ * Everything reachable from a tag that can fire (or from a zone) is considered in use;
+ * items only referenced by dead items are reported too.
+ * @param {Object} raw - Raw workspace entities ({tags, triggers, variables, builtIns, zones, folders}).
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @param {Object} workspace - Workspace being audited.
+ * @returns {Array<Object>} GTM_CLEANUP rows.
+ */
+function buildGTMCleanupReport(raw, container, workspace) {
+  const tags = raw.tags || [];
+  const triggers = raw.triggers || [];
+  const variables = raw.variables || [];
+  const builtIns = raw.builtIns || [];
+  const zones = raw.zones || [];
+  const folders = raw.folders || [];
+
+  const tagsByName = {};
+  tags.forEach(t => { tagsByName[t.name] = t; });
+  const triggersById = {};
+  triggers.forEach(tr => { triggersById[tr.triggerId] = tr; });
+
+  const rows = [];
+  const addRow = (itemType, itemName, itemId, issue, action, details = '') => {
+    rows.push({
+      'Container Name': container.name,
+      'Container ID': container.containerId,
+      'Workspace': workspace.name,
+      'Item Type': itemType,
+      'Item Name': itemName,
+      'Item ID': itemId,
+      'Issue': issue,
+      'Recommended Action': action,
+      'Details': details
+    });
+  };
+
+  // 1. Tags that can fire on their own
+  const tagIssues = {};
+  tags.forEach(tag => {
+    const issue = getGTMTagReachabilityIssue(tag, triggersById);
+    if (issue) tagIssues[tag.tagId] = issue;
+  });
+
+  // 2. Walk everything reachable from live tags and zones
+  const used = { tag: new Set(), trigger: new Set(), variable: new Set() };
+  const referenced = { trigger: new Set(), variable: new Set() };
+  const queue = [];
+
+  const visitTrigger = id => {
+    if (!triggersById[id] || used.trigger.has(id)) return;
+    used.trigger.add(id);
+    queue.push(triggersById[id]);
+  };
+  const visitVariable = name => {
+    if (used.variable.has(name)) return;
+    used.variable.add(name);
+    const variable = variables.find(v => v.name === name);
+    if (variable) queue.push(variable);
+  };
+  const visitTag = tag => {
+    if (used.tag.has(tag.tagId)) return;
+    used.tag.add(tag.tagId);
+    queue.push(tag);
+  };
+
+  tags.filter(t => !tagIssues[t.tagId]).forEach(visitTag);
+  zones.forEach(zone => queue.push(zone));
+
+  while (queue.length > 0) {
+    const entity = queue.shift();
+    findGTMVariableReferences(entity).forEach(ref => visitVariable(ref.name));
+
+    if (entity.tagId) {
+      (entity.firingTriggerId || []).concat(entity.blockingTriggerId || []).forEach(visitTrigger);
+      // Sequenced tags fire with their main tag even without triggers of their own
+      (entity.setupTag || []).concat(entity.teardownTag || []).forEach(s => {
+        const target = tagsByName[s.tagName];
+        if (target && !target.paused) visitTag(target);
+      });
+    } else if (entity.triggerId) {
+      getGTMTriggerGroupMembers(entity).forEach(visitTrigger);
+    } else if (entity.variableId) {
+      (entity.enablingTriggerId || []).concat(entity.disablingTriggerId || []).forEach(visitTrigger);
+    } else if (entity.zoneId && entity.boundary && entity.boundary.customEvaluationTriggerId) {
+      entity.boundary.customEvaluationTriggerId.forEach(visitTrigger);
+    }
+  }
+
+  // 3. Any reference at all, to tell "never referenced" from "only referenced by dead items"
+  tags.concat(triggers, variables, zones).forEach(entity => {
+    findGTMVariableReferences(entity).forEach(ref => referenced.variable.add(ref.name));
+    (entity.firingTriggerId || []).concat(entity.blockingTriggerId || [],
+      entity.enablingTriggerId || [], entity.disablingTriggerId || [],
+      (entity.boundary && entity.boundary.customEvaluationTriggerId) || [],
+      entity.triggerId ? getGTMTriggerGroupMembers(entity) : []).forEach(id => referenced.trigger.add(id));
+  });
+
+  // 4. Report
+  tags.filter(t => !used.tag.has(t.tagId)).forEach(tag => {
+    const issue = tagIssues[tag.tagId];
+    addRow('Tag', tag.name, tag.tagId, issue.issue, issue.action, issue.details);
+  });
+
+  triggers.filter(tr => !used.trigger.has(tr.triggerId)).forEach(trigger => {
+    if (referenced.trigger.has(trigger.triggerId)) {
+      addRow('Trigger', trigger.name, trigger.triggerId, 'Only used by unreachable items',
+        'Delete together with the items that use it, or fix those items', `Type: ${trigger.type}`);
+    } else {
+      addRow('Trigger', trigger.name, trigger.triggerId, 'Not used by any tag',
+        'Delete trigger', `Type: ${trigger.type}`);
+    }
+  });
+
+  variables.filter(v => !used.variable.has(v.name)).forEach(variable => {
+    if (referenced.variable.has(variable.name)) {
+      addRow('Variable', variable.name, variable.variableId, 'Only referenced by unused items',
+        'Delete together with the items that reference it', `Type: ${variable.type}`);
+    } else {
+      addRow('Variable', variable.name, variable.variableId, 'Not referenced',
+        'Delete variable', `Type: ${variable.type}`);
+    }
+  });
+
+  builtIns.filter(b => !used.variable.has(b.name)).forEach(builtIn => {
+    addRow('Built-in Variable', builtIn.name, builtIn.type,
+      referenced.variable.has(builtIn.name) ? 'Only referenced by unused items' : 'Not referenced',
+      'Disable built-in variable if not needed for debugging');
+  });
+
+  const folderUsage = {};
+  tags.concat(triggers, variables).forEach(entity => {
+    if (entity.parentFolderId) folderUsage[entity.parentFolderId] = true;
+  });
+  folders.filter(f => !folderUsage[f.folderId]).forEach(folder => {
+    addRow('Folder', folder.name, folder.folderId, 'Empty folder', 'Delete folder');
+  });
+
+  logEvent('GTM', `🧹 Clean-up items in ${container.name}/${workspace.name}: ${rows.length}`);
+  return rows;
+}
+
+/**
+ * Checks whether a tag can fire on its own.
+ * @param {Object} tag - GTM tag.
+ * @param {Object} triggersById - Workspace triggers by ID.
+ * @returns {Object|null} { issue, action, details } or null if the tag can fire.
+ */
+function getGTMTagReachabilityIssue(tag, triggersById) {
+  if (tag.paused) {
+    return { issue: 'Paused', action: 'Delete tag if no longer needed, otherwise unpause it', details: '' };
+  }
+
+  const firing = (tag.firingTriggerId || []).filter(id => triggersById[id] || GTM_BUILT_IN_TRIGGERS[id]);
+  if (firing.length === 0) {
+    return {
+      issue: (tag.firingTriggerId || []).length > 0 ? 'Firing triggers not found' : 'No firing triggers',
+      action: 'Add a firing trigger or delete tag',
+      details: 'Not used as setup or teardown tag by any active tag'
+    };
+  }
+
+  // An exception only blocks events of its own type, so every firing trigger must be covered
+  const alwaysTrue = (tag.blockingTriggerId || []).filter(id => isGTMTriggerUnconditional(id, triggersById));
+  const blocked = firing.every(id =>
+    alwaysTrue.some(b => getGTMTriggerEventType(b, triggersById) === getGTMTriggerEventType(id, triggersById)));
+  if (blocked && alwaysTrue.length > 0) {
+    const names = alwaysTrue.map(id => GTM_BUILT_IN_TRIGGERS[id] || triggersById[id].name);
+    return {
+      issue: 'Always blocked by exception',
+      action: 'Remove the exception or delete tag',
+      details: `Exceptions without conditions: ${names.join(', ')}`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Whether a trigger has no conditions at all (built-in triggers included).
+ * @param {string} triggerId - Trigger ID.
+ * @param {Object} triggersById - Workspace triggers by ID.
+ * @returns {boolean} True if the trigger matches every event of its type.
+ */
+function isGTMTriggerUnconditional(triggerId, triggersById) {
+  if (GTM_BUILT_IN_TRIGGERS[triggerId]) return true;
+  const trigger = triggersById[triggerId];
+  if (!trigger || trigger.type === 'triggerGroup') return false;
+  return !(trigger.filter || []).length &&
+    !(trigger.customEventFilter || []).length &&
+    !(trigger.autoEventFilter || []).length;
+}
+
+/**
+ * Gets the event type of a trigger, resolving built-in triggers.
+ * @param {string} triggerId - Trigger ID.
+ * @param {Object} triggersById - Workspace triggers by ID.
+ * @returns {string} Trigger type (e.g. pageview, customEvent).
+ */
+function getGTMTriggerEventType(triggerId, triggersById) {
+  if (GTM_BUILT_IN_TRIGGER_TYPES[triggerId]) return GTM_BUILT_IN_TRIGGER_TYPES[triggerId];
+  return triggersById[triggerId] ? triggersById[triggerId].type : 'unknown';
+}
+
+/**
+ * Lists the member trigger IDs of a trigger group.
+ * @param {Object} trigger - GTM trigger.
+ * @returns {Array<string>} Member trigger IDs (empty for other trigger types).
+ */
+function getGTMTriggerGroupMembers(trigger) {
+  if (trigger.type !== 'triggerGroup') return [];
+  const group = (trigger.parameter || []).find(p => p.key === 'triggerIds');
+  return ((group && group.list) || []).map(item => item.value).filter(Boolean);
+}
@@ -0,0 +1,308 @@
+/**
+ * @fileoverview GTM Code Scan Module.
+ * Static analysis of Custom HTML tags and Custom JavaScript variables (external domains,
+ * risky APIs, hard-coded secrets and ES5 compatibility).
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_CODE_SCAN_HEADERS = [
+  'Container Name', 'Container ID', 'Workspace', 'Source Type', 'Source Name', 'Source ID',
+  'Status', 'Severity', 'Finding', 'Details', 'Line'
+];
+
+// Checks run on code with strings and comments blanked out
+const GTM_CODE_RISK_PATTERNS = [
+  { finding: 'document.write', severity: GTM_SEVERITY.high, regex: /\bdocument\s*\.\s*write(ln)?\s*\(/g, details: 'Blocks rendering and can inject arbitrary markup' },
+  { finding: 'eval', severity: GTM_SEVERITY.high, regex: /\beval\s*\(/g, details: 'Executes arbitrary strings as code' },
+  { finding: 'Function constructor', severity: GTM_SEVERITY.high, regex: /\bnew\s+Function\s*\(/g, details: 'Executes arbitrary strings as code' },
+  { finding: 'String timer', severity: GTM_SEVERITY.medium, regex: /\bset(Timeout|Interval)\s*\(\s*(['"])/g, details: 'setTimeout/setInterval with a string argument works like eval' }
+];
+
+// Checks run on the raw code
+const GTM_CODE_SECRET_PATTERNS = [
+  { name: 'Google API key', regex: /AIza[0-9A-Za-z_\-]{35}/g },
+  { name: 'Stripe secret key', regex: /sk_live_[0-9a-zA-Z]{16,}/g },
+  { name: 'AWS access key', regex: /AKIA[0-9A-Z]{16}/g },
+  { name: 'Slack token', regex: /xox[baprs]-[0-9A-Za-z\-]{10,}/g },
+  { name: 'JSON Web Token', regex: /eyJ[A-Za-z0-9_\-]{10,}\.[A-Za-z0-9_\-]{10,}\.[A-Za-z0-9_\-]{10,}/g },
+  { name: 'Hard-coded credential', regex: /(api[_\-]?key|secret|access[_\-]?token|auth[_\-]?token|password)['"]?\s*[:=]\s*['"][^'"\s]{12,}['"]/gi }
+];
+
+// Last labels of "name@2x.png"-style asset file names, which look like emails
+const GTM_ASSET_EXTENSIONS = ['png', 'jpg', 'jpeg', 'svg', 'webp', 'gif', 'js', 'css'];
+
+// ES2015+ syntax that GTM's ES5 compiler rejects (checked on code without strings/comments)
+const GTM_ES6_PATTERNS = [
+  { feature: 'let/const declaration', regex: /\b(let|const)\s+[A-Za-z_$[{]/ },
+  { feature: 'arrow function', regex: /=>/ },
+  { feature: 'template literal', regex: /`/ },
+  { feature: 'class declaration', regex: /\bclass\s+[A-Za-z_$]/ },
+  { feature: 'async/await', regex: /\basync\s+function\b|\bawait\s+/ },
+  { feature: 'spread/rest operator', regex: /\.\.\.[A-Za-z_$[{(]/ },
+  { feature: 'for...of loop', regex: /\bfor\s*\([^;)]*\bof\b/ }
+];
+
+// =================================================================
+// CODE SCAN (CALLED FROM THE GTM SYNC)
+// =================================================================
+
+/**
+ * Scans the Custom HTML tags and Custom JavaScript variables of a workspace.
+ * @param {Object} raw - Raw workspace entities ({tags, variables, ...}).
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @param {Object} workspace - Workspace being audited.
+ * @returns {Array<Object>} GTM_CODE_SCAN rows.
+ */
+function buildGTMCodeScan(raw, container, workspace) {
+  const rows = [];
+
+  const sources = [];
+  (raw.tags || []).filter(t => t.type === 'html').forEach(tag => {
+    sources.push({ type: 'Custom HTML Tag', entity: tag, id: tag.tagId, status: tag.paused ? 'Paused' : 'Active', code: getGTMParameterValue(tag, 'html'), isHtml: true });
+  });
+  (raw.variables || []).filter(v => v.type === 'jsm').forEach(variable => {
+    sources.push({ type: 'Custom JavaScript Variable', entity: variable, id: variable.variableId, status: 'Active', code: getGTMParameterValue(variable, 'javascript'), isHtml: false });
+  });
+
+  sources.forEach(source => {
+    scanGTMCode(source.code, source.isHtml).forEach(finding => {
+      rows.push({
+        'Container Name': container.name,
+        'Container ID': container.containerId,
+        'Workspace': workspace.name,
+        'Source Type': source.type,
+        'Source Name': source.entity.name,
+        'Source ID': source.id,
+        'Status': source.status,
+        'Severity': finding.severity,
+        'Finding': finding.finding,
+        'Details': finding.details,
+        'Line': finding.line || 'N/A'
+      });
+    });
+  });
+
+  const risky = rows.filter(r => r['Severity'] === GTM_SEVERITY.high).length;
+  logEvent('GTM', `🛡️ Code scan ${container.name}/${workspace.name}: ${sources.length} code blocks, ${risky} high severity findings`);
+  return rows;
+}
+
+/**
+ * Gets the value of a top-level template parameter.
+ * @param {Object} entity - Tag or variable.
+ * @param {string} key - Parameter key.
+ * @returns {string} Parameter value, empty string if missing.
+ */
+function getGTMParameterValue(entity, key) {
+  const param = (entity.parameter || []).find(p => p.key === key);
+  return (param && param.value) || '';
+}
+
+/**
+ * Runs all static checks over a code block.
+ * @param {string} code - Custom HTML markup or Custom JavaScript function.
+ * @param {boolean} isHtml - True for Custom HTML (scripts are extracted from the markup).
+ * @returns {Array<Object>} Findings as { severity, finding, details, line }.
+ */
+function scanGTMCode(code, isHtml) {
+  const findings = [];
+  if (!code) return findings;
+
+  const lineOf = index => code.substring(0, index).split('\n').length;
+
+  // External domains (scripts, pixels, iframes, fetch/XHR endpoints)
+  const domains = {};
+  const urlRegex = /(https?:)?\/\/([a-z0-9\-]+(\.[a-z0-9\-]+)+)(:\d+)?[\/"'?#\s]/gi;
+  let match;
+  while ((match = urlRegex.exec(code)) !== null) {
+    const domain = match[2].toLowerCase();
+    if (!domains[domain]) domains[domain] = { line: lineOf(match.index), insecure: false };
+    if (match[1] && match[1].toLowerCase() === 'http:') domains[domain].insecure = true;
+  }
+  Object.keys(domains).forEach(domain => {
+    findings.push({ severity: GTM_SEVERITY.info, finding: 'External domain', details: domain, line: domains[domain].line });
+    if (domains[domain].insecure) {
+      findings.push({ severity: GTM_SEVERITY.medium, finding: 'Insecure HTTP resource', details: domain, line: domains[domain].line });
+    }
+  });
+
+  // Hard-coded emails and secrets (values are masked)
+  // Not preceded by a path or another address character, so "/img/logo@2x.png" is not taken as an email
+  const emailRegex = /(?<![\w.%+\-\/])[A-Za-z0-9._%+\-]+@[A-Za-z0-9.\-]+\.([A-Za-z]{2,})\b/g;
+  while ((match = emailRegex.exec(code)) !== null) {
+    if (GTM_ASSET_EXTENSIONS.includes(match[1].toLowerCase())) continue;
+    findings.push({ severity: GTM_SEVERITY.medium, finding: 'Hard-coded email', details: maskGTMSecret(match[0]), line: lineOf(match.index) });
+  }
+  GTM_CODE_SECRET_PATTERNS.forEach(pattern => {
+    pattern.regex.lastIndex = 0;
+    while ((match = pattern.regex.exec(code)) !== null) {
+      findings.push({ severity: GTM_SEVERITY.high, finding: 'Hard-coded token', details: `${pattern.name}: ${maskGTMSecret(match[0])}`, line: lineOf(match.index) });
+    }
+  });
+
+  // Inline event handlers in markup
+  if (isHtml) {
+    const handlerRegex = /<[a-z][^>]*\s(on[a-z]+)\s*=/gi;
+    while ((match = handlerRegex.exec(code)) !== null) {
+      findings.push({ severity: GTM_SEVERITY.medium, finding: 'Inline event handler', details: `${match[1]} attribute`, line: lineOf(match.index) });
+    }
+  }
+
+  // JavaScript checks on each script block
+  const scripts = isHtml ? extractGTMInlineScripts(code) : [{ code: code, offset: 0, isFunction: true }];
+  scripts.forEach(script => {
+    const stripped = stripGTMCodeLiterals(script.code);
+    const baseLine = lineOf(script.offset);
+
+    GTM_CODE_RISK_PATTERNS.forEach(pattern => {
+      pattern.regex.lastIndex = 0;
+      let risk;
+      while ((risk = pattern.regex.exec(stripped)) !== null) {
+        const line = baseLine + script.code.substring(0, risk.index).split('\n').length - 1;
+        findings.push({ severity: pattern.severity, finding: pattern.finding, details: pattern.details, line: line });
+      }
+    });
+
+    const syntaxError = getGTMSyntaxError(script.code, script.isFunction);
+    if (syntaxError) {
+      findings.push({ severity: GTM_SEVERITY.high, finding: 'Syntax error', details: syntaxError, line: baseLine });
+    } else {
+      const es6 = GTM_ES6_PATTERNS.filter(p => p.regex.test(stripped)).map(p => p.feature);
+      if (es6.length > 0) {
+        findings.push({ severity: GTM_SEVERITY.medium, finding: 'Not valid ES5', details: `Uses ${es6.join(', ')}`, line: baseLine });
+      }
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Extracts the inline JavaScript of <script> blocks (external and non-JS scripts are skipped).
+ * @param {string} html - Custom HTML markup.
+ * @returns {Array<Object>} Scripts as { code, offset, isFunction }.
+ */
+function extractGTMInlineScripts(html) {
+  const scripts = [];
+  const scriptRegex = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+  let match;
+  while ((match = scriptRegex.exec(html)) !== null) {
+    const attributes = match[1];
+    const typeMatch = attributes.match(/\btype\s*=\s*['"]?([^'"\s>]+)/i);
+    const isJs = !typeMatch || /javascript|ecmascript|^module$/i.test(typeMatch[1]);
+    if (isJs && match[2].trim()) {
+      scripts.push({ code: match[2], offset: match.index + match[0].indexOf('>') + 1, isFunction: false });
+    }
+  }
+  return scripts;
+}
+
+/**
+ * Replaces the contents of strings, template literals, regex literals and comments with spaces,
+ * keeping offsets and line breaks. Template literals are blanked whole, ${} expressions included.
+ * @param {string} code - JavaScript code.
+ * @returns {string} Code with literals blanked.
+ */
+function stripGTMCodeLiterals(code) {
+  let result = '';
+  let i = 0;
+  while (i < code.length) {
+    const ch = code[i];
+    const next = code[i + 1];
+    let end = -1;
+
+    if (ch === '/' && next !== '/' && next !== '*' && isGTMRegexLiteralStart(result)) {
+      end = findGTMRegexLiteralEnd(code, i);
+    } else if (ch === '/' && next === '/') {
+      end = code.indexOf('\n', i);
+      end = end === -1 ? code.length : end;
+    } else if (ch === '/' && next === '*') {
+      end = code.indexOf('*/', i + 2);
+      end = end === -1 ? code.length : end + 2;
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      end = i + 1;
+      while (end < code.length && code[end] !== ch && (ch === '`' || code[end] !== '\n')) {
+        end += code[end] === '\\' ? 2 : 1;
+      }
+      end = Math.min(end + 1, code.length);
+    }
+
+    if (end === -1) {
+      result += ch;
+      i++;
+    } else {
+      // Keep the quotes (and regex slashes) so string-argument and syntax checks still work
+      const isComment = ch === '/' && (next === '/' || next === '*');
+      const quote = isComment ? '' : ch;
+      const body = code.substring(i + (quote ? 1 : 0), end - (quote ? 1 : 0)).replace(/[^\n]/g, ' ');
+      result += quote + body + quote;
+      i = end;
+    }
+  }
+  return result;
+}
+
+/**
+ * Tells whether a slash starts a regex literal rather than a division, from the code before it.
+ * @param {string} before - Code already processed by stripGTMCodeLiterals.
+ * @returns {boolean} True if a regex literal can start here.
+ */
+function isGTMRegexLiteralStart(before) {
+  const trimmed = before.replace(/\s+$/, '');
+  if (!trimmed) return true;
+  if (/[(,=:[!&|?{};+\-*%<>~^]$/.test(trimmed)) return true;
+  return /\b(return|typeof|case|do|else|in|of|delete|void|throw|new)$/.test(trimmed);
+}
+
+/**
+ * Finds the end of a regex literal, skipping escapes and character classes.
+ * @param {string} code - JavaScript code.
+ * @param {number} start - Index of the opening slash.
+ * @returns {number} Index after the closing slash (the line end if it is unterminated).
+ */
+function findGTMRegexLiteralEnd(code, start) {
+  let inClass = false;
+  for (let i = start + 1; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === '\n') return i;
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '[') {
+      inClass = true;
+    } else if (ch === ']') {
+      inClass = false;
+    } else if (ch === '/' && !inClass) {
+      return i + 1;
+    }
+  }
+  return code.length;
+}
+
+/**
+ * Checks that a code block parses. Custom JavaScript variables are anonymous function expressions.
+ * @param {string} code - JavaScript code.
+ * @param {boolean} isFunction - True to parse the code as a function expression.
+ * @returns {string|null} Syntax error message, or null if the code parses.
+ */
+function getGTMSyntaxError(code, isFunction) {
+  // GTM variable references are replaced with values at runtime
+  const source = code.replace(/\{\{[^}]+\}\}/g, 'undefined');
+  try {
+    new Function(isFunction ? `return (${source}\n);` : source);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+/**
+ * Masks a sensitive value, keeping only its first characters.
+ * @param {string} value - Value to mask.
+ * @returns {string} Masked value.
+ */
+function maskGTMSecret(value) {
+  return value.length <= 6 ? '***' : `${value.substring(0, 4)}***`;
+}
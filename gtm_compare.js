@@ -0,0 +1,249 @@
+/**
+ * @fileoverview GTM Container Comparison Module.
+ * Compares two containers or workspaces side by side: entities are matched by name and type,
+ * and IDs, fingerprints and paths are ignored so different containers can be compared.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_COMPARE_HEADERS = [
+  'Reference', 'Compared', 'Entity Type', 'Entity Name', 'Type', 'Difference',
+  'Field', 'Reference Value', 'Compared Value'
+];
+
+// Container-specific identifiers that never match between containers
+const GTM_COMPARE_ID_FIELDS = [
+  'tagId', 'triggerId', 'variableId', 'templateId', 'clientId', 'transformationId',
+  'zoneId', 'folderId', 'parentFolderId'
+];
+
+// Long values (Custom HTML, template code) are cut in the sheet
+const GTM_COMPARE_MAX_VALUE_LENGTH = 1000;
+
+// =================================================================
+// CONTAINER COMPARISON (CALLED FROM MENU)
+// =================================================================
+
+/**
+ * Prompts for two containers/workspaces, then writes GTM_COMPARE.
+ * Called from menu: Extensions > Addocu > GTM Tools > Compare GTM Containers
+ */
+function runGTMCompareWithUI() {
+  const ui = SpreadsheetApp.getUi();
+  const hint = 'Public ID (GTM-XXXXXX), numeric ID or name.\n' +
+    'Add " / Workspace name" to pick a workspace (default: Default Workspace):';
+
+  const referencePrompt = ui.prompt('Compare GTM Containers', `Reference container\n${hint}`, ui.ButtonSet.OK_CANCEL);
+  if (referencePrompt.getSelectedButton() !== ui.Button.OK) return;
+
+  const comparedPrompt = ui.prompt('Compare GTM Containers', `Container to compare\n${hint}`, ui.ButtonSet.OK_CANCEL);
+  if (comparedPrompt.getSelectedButton() !== ui.Button.OK) return;
+
+  try {
+    SpreadsheetApp.getActiveSpreadsheet().toast('Comparing containers...', 'GTM', 30);
+    const result = compareGTMContainers(referencePrompt.getResponseText().trim(), comparedPrompt.getResponseText().trim());
+
+    ui.alert(
+      'GTM Containers Compared',
+      `${result.reference} → ${result.compared}\n\n` +
+      `Missing: ${result.summary.Missing} | Extra: ${result.summary.Extra} | Different: ${result.summary.Different}\n\n` +
+      'Details written to GTM_COMPARE.',
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    logError('GTM', `Container comparison failed: ${e.message}`);
+    ui.alert('GTM Error', `Container comparison failed: ${e.message}`, ui.ButtonSet.OK);
+  } finally {
+    flushLogs();
+  }
+}
+
+/**
+ * Compares two containers or workspaces and writes the differences to GTM_COMPARE.
+ * @param {string} referenceRef - "container" or "container / workspace" used as reference.
+ * @param {string} comparedRef - "container" or "container / workspace" compared against the reference.
+ * @returns {Object} Comparison summary.
+ */
+function compareGTMContainers(referenceRef, comparedRef) {
+  const reference = loadGTMCompareSide(referenceRef);
+  const compared = loadGTMCompareSide(comparedRef);
+
+  const rows = diffGTMWorkspaces(reference, compared);
+  writeDataToSheet('GTM_COMPARE', GTM_COMPARE_HEADERS, rows, 'GTM');
+
+  const summary = { Missing: 0, Extra: 0, Different: 0 };
+  const differentEntities = new Set();
+  rows.forEach(r => {
+    if (r['Difference'] === 'Different') differentEntities.add(`${r['Entity Type']}|${r['Entity Name']}|${r['Type']}`);
+    else summary[r['Difference']]++;
+  });
+  summary.Different = differentEntities.size;
+
+  logEvent('GTM', `🆚 ${reference.label} → ${compared.label}: ${rows.length} differences`);
+
+  return { reference: reference.label, compared: compared.label, summary: summary };
+}
+
+/**
+ * Resolves a "container / workspace" reference and fetches its entities.
+ * @param {string} ref - Container reference, optionally followed by " / " and a workspace name.
+ * @returns {Object} Side as { label, raw }.
+ */
+function loadGTMCompareSide(ref) {
+  const parts = String(ref || '').split(/\s+\/\s+/);
+  const container = findGTMContainer(parts[0].trim());
+  const workspaceName = parts.slice(1).join(' / ').trim();
+  const workspace = findGTMWorkspace(container, workspaceName);
+
+  logEvent('GTM', `🆚 Loading ${container.name}/${workspace.name} for comparison`);
+  const raw = getWorkspaceResources(workspace, container).raw;
+  return { label: `${container.publicId || container.name} / ${workspace.name}`, raw: raw };
+}
+
+// =================================================================
+// DIFF ENGINE
+// =================================================================
+
+/**
+ * Diffs the entities of two workspaces matched by entity type, name and type.
+ * @param {Object} reference - Reference side as { label, raw }.
+ * @param {Object} compared - Compared side as { label, raw }.
+ * @returns {Array<Object>} GTM_COMPARE rows.
+ */
+function diffGTMWorkspaces(reference, compared) {
+  const entityTypes = [
+    { label: 'Tag', rawKey: 'tags' },
+    { label: 'Trigger', rawKey: 'triggers' },
+    { label: 'Variable', rawKey: 'variables' },
+    { label: 'Built-in Variable', rawKey: 'builtIns' },
+    { label: 'Custom Template', rawKey: 'templates' },
+    { label: 'Client', rawKey: 'clients' },
+    { label: 'Transformation', rawKey: 'transformations' }
+  ];
+  const referenceNames = getGTMCompareNames(reference.raw);
+  const comparedNames = getGTMCompareNames(compared.raw);
+  const rows = [];
+
+  const baseRow = (label, entity) => ({
+    'Reference': reference.label,
+    'Compared': compared.label,
+    'Entity Type': label,
+    'Entity Name': entity.name,
+    'Type': entity.type || 'N/A'
+  });
+
+  entityTypes.forEach(({ label, rawKey }) => {
+    const before = indexGTMCompareEntities(reference.raw[rawKey], referenceNames);
+    const after = indexGTMCompareEntities(compared.raw[rawKey], comparedNames);
+
+    Object.keys(before).forEach(key => {
+      const entity = before[key];
+      if (!after[key]) {
+        rows.push({ ...baseRow(label, entity), 'Difference': 'Missing', 'Field': '-', 'Reference Value': 'Present', 'Compared Value': 'Absent' });
+        return;
+      }
+
+      const fieldsBefore = flattenGTMCompareEntity(entity);
+      const fieldsAfter = flattenGTMCompareEntity(after[key]);
+      new Set([...Object.keys(fieldsBefore), ...Object.keys(fieldsAfter)]).forEach(field => {
+        if (fieldsBefore[field] === fieldsAfter[field]) return;
+        rows.push({
+          ...baseRow(label, entity),
+          'Difference': 'Different',
+          'Field': field,
+          'Reference Value': truncateGTMCompareValue(fieldsBefore[field]),
+          'Compared Value': truncateGTMCompareValue(fieldsAfter[field])
+        });
+      });
+    });
+
+    Object.keys(after).filter(key => !before[key]).forEach(key => {
+      rows.push({ ...baseRow(label, after[key]), 'Difference': 'Extra', 'Field': '-', 'Reference Value': 'Absent', 'Compared Value': 'Present' });
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Builds the ID -> name maps used to replace container-specific references.
+ * @param {Object} raw - Raw workspace entities.
+ * @returns {Object} Maps as { triggers, templates }.
+ */
+function getGTMCompareNames(raw) {
+  const triggers = { ...GTM_BUILT_IN_TRIGGERS };
+  (raw.triggers || []).forEach(tr => { triggers[tr.triggerId] = tr.name; });
+  const templates = {};
+  (raw.templates || []).forEach(t => { templates[t.templateId] = t.name; });
+  return { triggers, templates };
+}
+
+/**
+ * Converts entities to comparable copies indexed by "name|type".
+ * @param {Array<Object>} entities - Entities from the API.
+ * @param {Object} names - Maps from getGTMCompareNames.
+ * @returns {Object} Map of "name|type" -> comparable entity.
+ */
+function indexGTMCompareEntities(entities, names) {
+  const index = {};
+  (entities || []).forEach(entity => {
+    const comparable = toComparableGTMEntity(entity, names);
+    index[`${comparable.name}|${comparable.type || ''}`] = comparable;
+  });
+  return index;
+}
+
+/**
+ * Copies an entity without IDs, fingerprints or paths. Trigger and template IDs are
+ * replaced by their names so entities of different containers can be compared.
+ * @param {Object} entity - Tag, trigger, variable or other workspace entity.
+ * @param {Object} names - Maps from getGTMCompareNames.
+ * @returns {Object} Comparable entity with all primitive values as strings.
+ */
+function toComparableGTMEntity(entity, names) {
+  const copy = JSON.parse(JSON.stringify(entity, (key, value) => {
+    if (GTM_VOLATILE_FIELDS.includes(key) || GTM_COMPARE_ID_FIELDS.includes(key)) return undefined;
+    // Trigger group members reference trigger IDs
+    if (value && value.type === 'triggerReference' && value.value !== undefined) {
+      return { ...value, value: names.triggers[value.value] || value.value };
+    }
+    return typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+  }));
+
+  // Custom template types are cvt_<containerId>_<templateId>
+  const templateType = String(copy.type || '').match(/^cvt_\d+_(\d+)$/);
+  if (templateType) copy.type = `cvt:${names.templates[templateType[1]] || templateType[1]}`;
+
+  ['firingTriggerId', 'blockingTriggerId'].forEach(key => {
+    if (!copy[key]) return;
+    copy[key.replace('TriggerId', 'Triggers')] = copy[key].map(id => names.triggers[id] || id).sort().join(', ');
+    delete copy[key];
+  });
+
+  return copy;
+}
+
+/**
+ * Flattens a comparable entity into field paths (e.g. parameter.eventName) and values.
+ * @param {Object} entity - Entity from toComparableGTMEntity.
+ * @returns {Object} Map of field path -> string value.
+ */
+function flattenGTMCompareEntity(entity) {
+  const fields = {};
+  Object.keys(entity).filter(key => key !== 'name').forEach(key => {
+    walkGTMParameters(entity[key], key, (value, path) => { fields[path] = value; });
+  });
+  return fields;
+}
+
+/**
+ * Cuts long values so they fit in a cell.
+ * @param {string|undefined} value - Field value.
+ * @returns {string} Value to write, "(not set)" when the field is absent.
+ */
+function truncateGTMCompareValue(value) {
+  if (value === undefined) return '(not set)';
+  return value.length > GTM_COMPARE_MAX_VALUE_LENGTH ? `${value.substring(0, GTM_COMPARE_MAX_VALUE_LENGTH)}...` : value;
+}
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview GTM Consent Mode Audit Module.
+ * Reports the consent configuration of every web tag and flags known vendor tags without consent
+ * requirements. Server containers are skipped: consent is applied by the web container.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_CONSENT_HEADERS = [
+  'Container Name', 'Container ID', 'Workspace', 'Tag Name', 'Tag ID', 'Tag Type', 'Vendor',
+  'Status', 'Consent Status', 'Consent Types', 'Built-in Consent Checks', 'Consent Init Trigger',
+  'Finding', 'Recommendation'
+];
+
+const GTM_CONSENT_FINDINGS = {
+  vendorWithoutConsent: 'Vendor tag without consent requirement',
+  noChecks: 'No additional consent checks',
+  notNeeded: 'Marked as not needing consent',
+  unknownVendor: 'Unrecognized tag without consent requirement',
+  configured: 'Consent checks configured'
+};
+
+// =================================================================
+// CONSENT REPORT (CALLED FROM THE GTM SYNC)
+// =================================================================
+
+/**
+ * Builds the consent report of a workspace, one row per tag.
+ * @param {Object} raw - Raw workspace entities ({tags, triggers, ...}).
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @param {Object} workspace - Workspace being audited.
+ * @returns {Array<Object>} GTM_CONSENT rows, empty for server containers.
+ */
+function buildGTMConsentReport(raw, container, workspace) {
+  if (isGTMServerContainer(container)) return [];
+
+  const tags = raw.tags || [];
+  const consentInit = describeGTMConsentInitialization(tags, raw.triggers || []);
+
+  const rows = tags.map(tag => {
+    const consent = getGTMConsentSettings(tag);
+    const vendor = getGTMTagVendor(tag);
+
+    let finding;
+    let recommendation = '';
+    if (consent.status === 'needed' && consent.types.length > 0) {
+      finding = GTM_CONSENT_FINDINGS.configured;
+    } else if (consent.status === 'notNeeded') {
+      // An explicit choice in the tag settings, reported but not flagged
+      finding = GTM_CONSENT_FINDINGS.notNeeded;
+      recommendation = vendor.googleTag ? 'Relies on the built-in consent checks of the Google tag' :
+        'Confirm this tag sets no cookies and sends no personal data';
+    } else if (vendor.known && !vendor.googleTag) {
+      finding = GTM_CONSENT_FINDINGS.vendorWithoutConsent;
+      recommendation = 'Require the consent types used by this vendor (e.g. ad_storage, analytics_storage)';
+    } else if (!vendor.googleTag) {
+      finding = GTM_CONSENT_FINDINGS.unknownVendor;
+      recommendation = 'Require consent if this tag sets cookies or sends data to a third party';
+    } else {
+      finding = GTM_CONSENT_FINDINGS.noChecks;
+      recommendation = 'Relies on the built-in consent checks of the Google tag';
+    }
+
+    return {
+      'Container Name': container.name,
+      'Container ID': container.containerId,
+      'Workspace': workspace.name,
+      'Tag Name': tag.name,
+      'Tag ID': tag.tagId,
+      'Tag Type': tag.type,
+      'Vendor': vendor.vendor,
+      'Status': tag.paused ? 'Paused' : 'Active',
+      'Consent Status': consent.status,
+      'Consent Types': consent.types.join(', ') || 'N/A',
+      'Built-in Consent Checks': vendor.googleTag ? 'Yes' : 'No',
+      'Consent Init Trigger': consentInit,
+      'Finding': finding,
+      'Recommendation': recommendation
+    };
+  });
+
+  const flagged = rows.filter(r => r['Finding'] === GTM_CONSENT_FINDINGS.vendorWithoutConsent).length;
+  logEvent('GTM', `🍪 Consent audit ${container.name}/${workspace.name}: ${flagged} vendor tags without consent requirement`);
+  return rows;
+}
+
+/**
+ * Describes how the workspace uses the Consent Initialization event.
+ * @param {Array} tags - Workspace tags.
+ * @param {Array} triggers - Workspace triggers.
+ * @returns {string} Consent initialization triggers in use, or a warning if there are none.
+ */
+function describeGTMConsentInitialization(tags, triggers) {
+  const consentInitIds = triggers.filter(tr => tr.type === 'consentInit').map(tr => tr.triggerId)
+    .concat(Object.keys(GTM_BUILT_IN_TRIGGER_TYPES).filter(id => GTM_BUILT_IN_TRIGGER_TYPES[id] === 'consentInit'));
+
+  const usedIds = consentInitIds.filter(id =>
+    tags.some(tag => !tag.paused && (tag.firingTriggerId || []).includes(id)));
+
+  if (usedIds.length === 0) {
+    return 'No - no tag fires on Consent Initialization';
+  }
+
+  const names = usedIds.map(id => GTM_BUILT_IN_TRIGGERS[id] || triggers.find(tr => tr.triggerId === id).name);
+  return `Yes - ${names.join(', ')}`;
+}
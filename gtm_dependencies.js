@@ -0,0 +1,127 @@
+/**
+ * @fileoverview GTM Dependency Graph Module.
+ * Builds the tag -> trigger -> variable edges of a workspace for the GTM_DEPENDENCIES sheet.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_DEPENDENCIES_HEADERS = [
+  'Container Name', 'Container ID', 'Workspace', 'Source Type', 'Source Name',
+  'Relationship', 'Target Type', 'Target Name', 'Target ID', 'Notes'
+];
+
+const GTM_RELATIONSHIPS = {
+  firesOn: 'Fires on',
+  blockedBy: 'Blocked by',
+  uses: 'Uses variable',
+  setupTag: 'Setup tag',
+  teardownTag: 'Teardown tag',
+  enabledBy: 'Enabled by',
+  disabledBy: 'Disabled by',
+  groups: 'Groups trigger'
+};
+
+// =================================================================
+// GRAPH BUILDING (CALLED FROM THE GTM SYNC)
+// =================================================================
+
+/**
+ * Builds the dependency edges of a workspace.
+ * @param {Object} raw - Raw workspace entities ({tags, triggers, variables, builtIns}).
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @param {Object} workspace - Workspace being audited.
+ * @returns {Array<Object>} GTM_DEPENDENCIES rows.
+ */
+function buildGTMDependencyEdges(raw, container, workspace) {
+  const tags = raw.tags || [];
+  const triggers = raw.triggers || [];
+  const variables = raw.variables || [];
+  const builtIns = raw.builtIns || [];
+
+  const tagsByName = {};
+  tags.forEach(t => { tagsByName[t.name] = t; });
+  const triggersById = {};
+  triggers.forEach(tr => { triggersById[tr.triggerId] = tr; });
+  const variablesByName = {};
+  variables.forEach(v => { variablesByName[v.name] = v; });
+  const builtInNames = new Set(builtIns.map(b => b.name));
+
+  const edges = [];
+  const addEdge = (sourceType, sourceName, relationship, targetType, targetName, targetId, notes = '') => {
+    edges.push({
+      'Container Name': container.name,
+      'Container ID': container.containerId,
+      'Workspace': workspace.name,
+      'Source Type': sourceType,
+      'Source Name': sourceName,
+      'Relationship': relationship,
+      'Target Type': targetType,
+      'Target Name': targetName,
+      'Target ID': targetId,
+      'Notes': notes
+    });
+  };
+
+  const addTriggerEdge = (sourceType, sourceName, relationship, triggerId) => {
+    const trigger = triggersById[triggerId];
+    if (trigger) {
+      addEdge(sourceType, sourceName, relationship, 'Trigger', trigger.name, triggerId);
+    } else if (GTM_BUILT_IN_TRIGGERS[triggerId]) {
+      addEdge(sourceType, sourceName, relationship, 'Built-in Trigger', GTM_BUILT_IN_TRIGGERS[triggerId], triggerId);
+    } else {
+      addEdge(sourceType, sourceName, relationship, 'Trigger', 'Unknown trigger', triggerId, 'Trigger not found in workspace');
+    }
+  };
+
+  const addVariableEdges = (sourceType, entity) => {
+    const pathsByName = {};
+    findGTMVariableReferences(entity).forEach(ref => {
+      (pathsByName[ref.name] = pathsByName[ref.name] || []).push(ref.path);
+    });
+    Object.keys(pathsByName).forEach(name => {
+      const paths = `Found in ${pathsByName[name].join(', ')}`;
+      if (variablesByName[name]) {
+        addEdge(sourceType, entity.name, GTM_RELATIONSHIPS.uses, 'Variable', name, variablesByName[name].variableId, paths);
+      } else if (builtInNames.has(name)) {
+        addEdge(sourceType, entity.name, GTM_RELATIONSHIPS.uses, 'Built-in Variable', name, '', paths);
+      } else {
+        addEdge(sourceType, entity.name, GTM_RELATIONSHIPS.uses, 'Variable', name, '', `Variable not found in workspace. ${paths}`);
+      }
+    });
+  };
+
+  tags.forEach(tag => {
+    (tag.firingTriggerId || []).forEach(id => addTriggerEdge('Tag', tag.name, GTM_RELATIONSHIPS.firesOn, id));
+    (tag.blockingTriggerId || []).forEach(id => addTriggerEdge('Tag', tag.name, GTM_RELATIONSHIPS.blockedBy, id));
+
+    // Tag sequencing: setupTag/teardownTag reference other tags by name
+    (tag.setupTag || []).forEach(s => {
+      const target = tagsByName[s.tagName];
+      addEdge('Tag', tag.name, GTM_RELATIONSHIPS.setupTag, 'Tag', s.tagName, target ? target.tagId : '',
+        target ? (s.stopOnSetupFailure ? 'Stops if setup fails' : '') : 'Tag not found in workspace');
+    });
+    (tag.teardownTag || []).forEach(s => {
+      const target = tagsByName[s.tagName];
+      addEdge('Tag', tag.name, GTM_RELATIONSHIPS.teardownTag, 'Tag', s.tagName, target ? target.tagId : '',
+        target ? (s.stopTeardownOnFailure ? 'Stops if tag fails' : '') : 'Tag not found in workspace');
+    });
+
+    addVariableEdges('Tag', tag);
+  });
+
+  triggers.forEach(trigger => {
+    getGTMTriggerGroupMembers(trigger).forEach(id => addTriggerEdge('Trigger', trigger.name, GTM_RELATIONSHIPS.groups, id));
+    addVariableEdges('Trigger', trigger);
+  });
+
+  variables.forEach(variable => {
+    (variable.enablingTriggerId || []).forEach(id => addTriggerEdge('Variable', variable.name, GTM_RELATIONSHIPS.enabledBy, id));
+    (variable.disablingTriggerId || []).forEach(id => addTriggerEdge('Variable', variable.name, GTM_RELATIONSHIPS.disabledBy, id));
+    addVariableEdges('Variable', variable);
+  });
+
+  logEvent('GTM', `🔗 Dependencies in ${container.name}/${workspace.name}: ${edges.length} edges`);
+  return edges;
+}
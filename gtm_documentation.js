@@ -0,0 +1,282 @@
+/**
+ * @fileoverview GTM Tag Dictionary Module.
+ * Generates a human-readable handover document of a container, grouped by GTM folder:
+ * purpose, triggers in plain English, variables used and consent requirements of each tag.
+ * Output is a formatted GTM_TAG_DICTIONARY sheet and a Markdown file.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_TAG_DICTIONARY_SHEET = 'GTM_TAG_DICTIONARY';
+
+const GTM_TAG_DICTIONARY_HEADERS = [
+  'Tag', 'Type', 'Status', 'Purpose', 'Fires On', 'Exceptions', 'Variables Used', 'Consent'
+];
+
+const GTM_UNFILED_FOLDER = 'Unfiled';
+
+// Plain-English names of trigger types
+const GTM_TRIGGER_TYPE_LABELS = {
+  pageview: 'Page View', domReady: 'DOM Ready', windowLoaded: 'Window Loaded',
+  consentInit: 'Consent Initialization', init: 'Initialization', customEvent: 'Custom event',
+  click: 'Click on any element', linkClick: 'Link click', formSubmission: 'Form submission',
+  historyChange: 'History change', timer: 'Timer', scrollDepth: 'Scroll depth',
+  elementVisibility: 'Element visibility', youTubeVideo: 'YouTube video', jsError: 'JavaScript error',
+  always: 'Always', serverPageview: 'Server page view', triggerGroup: 'Trigger group'
+};
+
+// Plain-English operators as [positive, negated]
+const GTM_OPERATOR_LABELS = {
+  equals: ['equals', 'does not equal'],
+  contains: ['contains', 'does not contain'],
+  startsWith: ['starts with', 'does not start with'],
+  endsWith: ['ends with', 'does not end with'],
+  matchRegex: ['matches', 'does not match'],
+  cssSelector: ['matches CSS selector', 'does not match CSS selector'],
+  greater: ['is greater than', 'is not greater than'],
+  greaterOrEquals: ['is at least', 'is less than'],
+  less: ['is less than', 'is not less than'],
+  lessOrEquals: ['is at most', 'is greater than']
+};
+
+// =================================================================
+// TAG DICTIONARY (CALLED FROM MENU)
+// =================================================================
+
+/**
+ * Prompts for a container, writes GTM_TAG_DICTIONARY and shows the Markdown version.
+ * Called from menu: Extensions > Addocu > GTM Tools > Generate Tag Dictionary
+ */
+function runGTMTagDictionaryWithUI() {
+  const ui = SpreadsheetApp.getUi();
+
+  const containerPrompt = ui.prompt(
+    'Generate Tag Dictionary',
+    'Container public ID (GTM-XXXXXX), numeric ID or name.\nAdd " / Workspace name" to pick a workspace (default: Default Workspace):',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (containerPrompt.getSelectedButton() !== ui.Button.OK) return;
+
+  try {
+    SpreadsheetApp.getActiveSpreadsheet().toast('Generating tag dictionary...', 'GTM', 30);
+    const dictionary = generateGTMTagDictionary(containerPrompt.getResponseText().trim());
+    const markdown = renderGTMTagDictionaryMarkdown(dictionary);
+
+    const fileName = `tag-dictionary-${dictionary.container.publicId || dictionary.container.containerId}.md`;
+    const html = HtmlService.createHtmlOutput(
+      '<div style="font-family: Arial, sans-serif;">' +
+      `<p>The dictionary was written to ${GTM_TAG_DICTIONARY_SHEET}. Markdown version:</p>` +
+      `<textarea readonly style="width: 100%; height: 380px; font-family: monospace;">${escapeGTMHtml(markdown)}</textarea>` +
+      `<p><a download="${escapeGTMHtml(fileName)}" href="data:text/markdown;charset=utf-8,${encodeURIComponent(markdown)}">Download ${escapeGTMHtml(fileName)}</a></p>` +
+      '</div>'
+    ).setWidth(800).setHeight(520);
+    ui.showModalDialog(html, `Tag Dictionary - ${dictionary.container.name}`);
+  } catch (e) {
+    logError('GTM', `Tag dictionary generation failed: ${e.message}`);
+    ui.alert('GTM Error', `Tag dictionary generation failed: ${e.message}`, ui.ButtonSet.OK);
+  } finally {
+    flushLogs();
+  }
+}
+
+/**
+ * Builds the tag dictionary of a container and writes it to GTM_TAG_DICTIONARY.
+ * The workspace is read live rather than from GTM_TAGS/TRIGGERS/VARIABLES: those sheets keep a
+ * flattened filter summary per trigger and a truncated "Used By" per variable, which cannot give
+ * the trigger conditions and complete variable lists the dictionary needs.
+ * @param {string} ref - Container reference, optionally followed by " / " and a workspace name.
+ * @returns {Object} Dictionary as { container, workspace, generated, folders: [{ name, tags }] }.
+ */
+function generateGTMTagDictionary(ref) {
+  const parts = String(ref || '').split(/\s+\/\s+/);
+  const container = findGTMContainer(parts[0].trim());
+  const workspace = findGTMWorkspace(container, parts.slice(1).join(' / ').trim());
+  const raw = getWorkspaceResources(workspace, container).raw;
+
+  const dictionary = buildGTMTagDictionary(raw, container, workspace);
+  writeGTMTagDictionarySheet(dictionary);
+
+  logEvent('GTM', `📖 Tag dictionary ${container.name}/${workspace.name}: ${raw.tags.length} tags in ${dictionary.folders.length} folders`);
+  return dictionary;
+}
+
+/**
+ * Groups the tags of a workspace by folder and describes each one.
+ * @param {Object} raw - Raw workspace entities ({tags, triggers, folders, ...}).
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @param {Object} workspace - Workspace being documented.
+ * @returns {Object} Dictionary as { container, workspace, generated, folders: [{ name, tags }] }.
+ */
+function buildGTMTagDictionary(raw, container, workspace) {
+  const triggersById = {};
+  (raw.triggers || []).forEach(tr => { triggersById[tr.triggerId] = tr; });
+  const folderNames = {};
+  (raw.folders || []).forEach(f => { folderNames[f.folderId] = f.name; });
+
+  const folders = {};
+  (raw.tags || []).slice().sort((a, b) => a.name.localeCompare(b.name)).forEach(tag => {
+    const folder = folderNames[tag.parentFolderId] || GTM_UNFILED_FOLDER;
+    const consent = getGTMConsentSettings(tag);
+    const variables = [...new Set(findGTMVariableReferences(tag).map(r => r.name))].sort();
+
+    (folders[folder] = folders[folder] || []).push({
+      'Tag': tag.name,
+      'Type': getGTMTagVendor(tag).vendor === 'Other' ? tag.type : `${getGTMTagVendor(tag).vendor} (${tag.type})`,
+      'Status': tag.paused ? 'Paused' : 'Active',
+      'Purpose': tag.notes || 'Not documented - add notes to this tag in GTM',
+      'Fires On': (tag.firingTriggerId || []).map(id => describeGTMTrigger(id, triggersById)).join('\n') || 'No triggers (never fires)',
+      'Exceptions': (tag.blockingTriggerId || []).map(id => describeGTMTrigger(id, triggersById)).join('\n') || 'None',
+      'Variables Used': variables.join(', ') || 'None',
+      'Consent': describeGTMConsentRequirement(consent)
+    });
+  });
+
+  // Folders in alphabetical order, unfiled tags last
+  const names = Object.keys(folders).filter(n => n !== GTM_UNFILED_FOLDER).sort();
+  if (folders[GTM_UNFILED_FOLDER]) names.push(GTM_UNFILED_FOLDER);
+
+  return {
+    container: container,
+    workspace: workspace,
+    generated: new Date(),
+    folders: names.map(name => ({ name: name, tags: folders[name] }))
+  };
+}
+
+/**
+ * Describes a trigger in plain English, e.g. 'Custom event "purchase" when Page Path contains /checkout'.
+ * @param {string} triggerId - Trigger ID (built-in or workspace trigger).
+ * @param {Object} triggersById - Workspace triggers by ID.
+ * @returns {string} Description.
+ */
+function describeGTMTrigger(triggerId, triggersById) {
+  if (GTM_BUILT_IN_TRIGGERS[triggerId]) return GTM_BUILT_IN_TRIGGERS[triggerId];
+  const trigger = triggersById[triggerId];
+  if (!trigger) return `Unknown trigger (${triggerId})`;
+
+  if (trigger.type === 'triggerGroup') {
+    const members = getGTMTriggerGroupMembers(trigger).map(id => GTM_BUILT_IN_TRIGGERS[id] || (triggersById[id] && triggersById[id].name) || id);
+    return `${trigger.name}: after all of ${members.join(', ')}`;
+  }
+
+  const conditions = parseGTMTriggerConditions(trigger);
+  const eventNames = conditions.filter(c => c.source === 'customEventFilter').map(c => `"${c.value}"`);
+  const filters = conditions.filter(c => c.source !== 'customEventFilter').map(c => {
+    const labels = GTM_OPERATOR_LABELS[c.operator] || [c.operator, `not ${c.operator}`];
+    const variable = c.variable.replace(/^\{\{(.+)\}\}$/, '$1');
+    return `${variable} ${labels[c.negate ? 1 : 0]} ${c.value}`;
+  });
+
+  let description = GTM_TRIGGER_TYPE_LABELS[trigger.type] || trigger.type;
+  if (eventNames.length > 0) description += ` ${eventNames.join(' / ')}`;
+  description += filters.length > 0 ? ` when ${filters.join(' and ')}` : ' on all pages';
+  return `${trigger.name}: ${description}`;
+}
+
+/**
+ * Describes the consent a tag needs before firing.
+ * @param {Object} consent - Settings from getGTMConsentSettings.
+ * @returns {string} Description.
+ */
+function describeGTMConsentRequirement(consent) {
+  if (consent.status === 'needed') return `Requires ${consent.types.join(', ') || 'additional consent'}`;
+  if (consent.status === 'notNeeded') return 'No additional consent required';
+  return 'Not configured (built-in consent checks only)';
+}
+
+// =================================================================
+// OUTPUT
+// =================================================================
+
+/**
+ * Writes the dictionary as a document-style sheet: title, then one section per folder.
+ * @param {Object} dictionary - Dictionary from buildGTMTagDictionary.
+ */
+function writeGTMTagDictionarySheet(dictionary) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(GTM_TAG_DICTIONARY_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(GTM_TAG_DICTIONARY_SHEET);
+    sheet.setTabColor('#1A5DBB');
+  }
+  sheet.clear();
+
+  const width = GTM_TAG_DICTIONARY_HEADERS.length;
+  const blank = () => new Array(width).fill('');
+  const values = [];
+  const sectionRows = [];
+  const headerRows = [];
+
+  const title = blank();
+  title[0] = `Tag Dictionary - ${dictionary.container.name} (${dictionary.container.publicId || dictionary.container.containerId})`;
+  const subtitle = blank();
+  subtitle[0] = `Workspace: ${dictionary.workspace.name} | Generated: ${formatDate(dictionary.generated)}`;
+  values.push(title, subtitle);
+
+  dictionary.folders.forEach(folder => {
+    values.push(blank());
+    const section = blank();
+    section[0] = `📁 ${folder.name} (${folder.tags.length} tags)`;
+    sectionRows.push(values.length + 1);
+    values.push(section);
+    headerRows.push(values.length + 1);
+    values.push(GTM_TAG_DICTIONARY_HEADERS.slice());
+    folder.tags.forEach(tag => values.push(GTM_TAG_DICTIONARY_HEADERS.map(h => tag[h])));
+  });
+
+  sheet.getRange(1, 1, values.length, width).setValues(values);
+  sheet.getRange(1, 1).setFontSize(16).setFontWeight('bold');
+  sheet.getRange(2, 1).setFontStyle('italic').setFontColor('#6B7280');
+  sectionRows.forEach(row => {
+    sheet.getRange(row, 1, 1, width).merge().setFontSize(12).setFontWeight('bold').setBackground('#E8F0FE');
+  });
+  headerRows.forEach(row => {
+    sheet.getRange(row, 1, 1, width).setFontWeight('bold').setBackground('#1A5DBB').setFontColor('white');
+  });
+
+  if (values.length > 2) {
+    sheet.getRange(3, 1, values.length - 2, width).setWrap(true).setVerticalAlignment('top');
+  }
+  [220, 160, 70, 280, 320, 220, 200, 200].forEach((px, i) => sheet.setColumnWidth(i + 1, px));
+}
+
+/**
+ * Renders the dictionary as Markdown, one section per folder and one subsection per tag.
+ * @param {Object} dictionary - Dictionary from buildGTMTagDictionary.
+ * @returns {string} Markdown document.
+ */
+function renderGTMTagDictionaryMarkdown(dictionary) {
+  const lines = [
+    `# Tag Dictionary - ${dictionary.container.name} (${dictionary.container.publicId || dictionary.container.containerId})`,
+    '',
+    `Workspace: ${dictionary.workspace.name} | Generated: ${formatDate(dictionary.generated)}`,
+    ''
+  ];
+
+  dictionary.folders.forEach(folder => {
+    lines.push(`## ${folder.name}`, '');
+    folder.tags.forEach(tag => {
+      lines.push(`### ${tag['Tag']}`, '');
+      lines.push(`- **Type:** ${tag['Type']}`);
+      lines.push(`- **Status:** ${tag['Status']}`);
+      lines.push(`- **Purpose:** ${tag['Purpose'].replace(/\n+/g, ' ')}`);
+      lines.push(`- **Fires on:**`, ...tag['Fires On'].split('\n').map(t => `  - ${t}`));
+      lines.push(`- **Exceptions:**`, ...tag['Exceptions'].split('\n').map(t => `  - ${t}`));
+      lines.push(`- **Variables used:** ${tag['Variables Used']}`);
+      lines.push(`- **Consent:** ${tag['Consent']}`, '');
+    });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Escapes text for HTML output.
+ * @param {string} text - Raw text.
+ * @returns {string} Escaped text.
+ */
+function escapeGTMHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview GTM Duplicate Tag Detection Module.
+ * Clusters tags that are functionally identical (same type, parameters and triggers) or nearly so,
+ * including GA4 event tags that send the same event to the same measurement ID.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_DUPLICATES_HEADERS = [
+  'Container Name', 'Container ID', 'Workspace', 'Cluster', 'Match Type', 'Similarity',
+  'Tag Name', 'Tag ID', 'Tag Type', 'Firing Triggers', 'Paused', 'Observations'
+];
+
+const GTM_DUPLICATE_MATCH_TYPES = {
+  exact: 'Exact duplicate',
+  ga4Event: 'Same GA4 event',
+  near: 'Near duplicate'
+};
+
+// Minimum weighted share of identical fields for two tags of the same type to be near duplicates
+const GTM_DUPLICATE_SIMILARITY_THRESHOLD = 0.9;
+
+// Weight of the fields that define what a tag does; other fields (e.g. each row of a shared
+// parameter table) weigh 1, so common settings cannot make two different events look alike
+const GTM_DUPLICATE_FIELD_WEIGHTS = {
+  'parameter.eventName': 10,
+  firingTriggers: 10,
+  blockingTriggers: 5
+};
+
+// Fields that do not change what a tag does
+const GTM_DUPLICATE_IGNORED_FIELDS = ['type', 'notes', 'paused', 'monitoringMetadataTagNameKey'];
+
+// =================================================================
+// DUPLICATE DETECTION (CALLED FROM THE GTM SYNC)
+// =================================================================
+
+/**
+ * Finds duplicate and near-duplicate tags of a workspace.
+ * @param {Object} raw - Raw workspace entities ({tags, triggers, templates, ...}).
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @param {Object} workspace - Workspace being audited.
+ * @returns {Array<Object>} GTM_DUPLICATES rows, one per tag of each cluster.
+ */
+function buildGTMDuplicateReport(raw, container, workspace) {
+  const tags = raw.tags || [];
+  const names = getGTMCompareNames(raw);
+  const fields = {};
+  tags.forEach(tag => {
+    const flat = flattenGTMCompareEntity(toComparableGTMEntity(tag, names));
+    GTM_DUPLICATE_IGNORED_FIELDS.forEach(f => { delete flat[f]; });
+    fields[tag.tagId] = flat;
+  });
+
+  const clusters = [];
+  const clusteredSets = new Set();
+  const addCluster = (members, matchType, observation) => {
+    const key = members.map(t => t.tagId).sort().join(',');
+    if (members.length < 2 || clusteredSets.has(key)) return;
+    clusteredSets.add(key);
+    clusters.push({ members, matchType, observation });
+  };
+
+  // Exact duplicates: same type and same normalized parameters and triggers
+  groupGTMTagsBy(tags, tag => `${tag.type}|${normalizeGTMEntity(fields[tag.tagId])}`).forEach(members => {
+    addCluster(members, GTM_DUPLICATE_MATCH_TYPES.exact, 'Identical configuration - keep only one');
+  });
+
+  // GA4 event tags sending the same event to the same measurement ID double-count it
+  const ga4Events = tags.filter(t => t.type === 'gaawe' && getGTMParameterValue(t, 'eventName'));
+  groupGTMTagsBy(ga4Events, tag => `${getGTMGA4MeasurementId(tag)}|${getGTMParameterValue(tag, 'eventName')}`).forEach(members => {
+    const sharedTriggers = members.some((a, i) => members.slice(i + 1).some(b =>
+      (a.firingTriggerId || []).some(id => (b.firingTriggerId || []).includes(id))));
+    addCluster(members, GTM_DUPLICATE_MATCH_TYPES.ga4Event, sharedTriggers ?
+      'Same event sent to the same measurement ID on a shared trigger - double counting' :
+      'Same event sent to the same measurement ID - check the triggers cannot fire together');
+  });
+
+  // Near duplicates: same type and almost all fields identical. Every pair of a cluster must meet
+  // the threshold, so A ~ B and B ~ C does not put A and C together
+  const similarityByPair = {};
+  const getPairSimilarity = (a, b) => {
+    const key = `${a.tagId}|${b.tagId}`;
+    if (similarityByPair[key] === undefined) similarityByPair[key] = getGTMTagSimilarity(fields[a.tagId], fields[b.tagId]);
+    return similarityByPair[key];
+  };
+  const nearClustered = new Set();
+  tags.forEach((a, i) => {
+    if (nearClustered.has(a.tagId)) return;
+    const members = [a];
+    tags.slice(i + 1).filter(b => b.type === a.type && !nearClustered.has(b.tagId)).forEach(b => {
+      if (members.every(m => getPairSimilarity(m, b) >= GTM_DUPLICATE_SIMILARITY_THRESHOLD)) members.push(b);
+    });
+    if (members.length < 2) return;
+    members.forEach(m => nearClustered.add(m.tagId));
+    addCluster(members, GTM_DUPLICATE_MATCH_TYPES.near, 'Almost identical configuration - consider merging');
+  });
+
+  const triggerNames = { ...GTM_BUILT_IN_TRIGGERS };
+  (raw.triggers || []).forEach(tr => { triggerNames[tr.triggerId] = tr.name; });
+
+  const rows = [];
+  clusters.forEach((cluster, index) => {
+    const similarity = cluster.matchType === GTM_DUPLICATE_MATCH_TYPES.exact ? 1 :
+      getGTMClusterSimilarity(cluster.members, fields, similarityByPair);
+
+    cluster.members.forEach(tag => rows.push({
+      'Container Name': container.name,
+      'Container ID': container.containerId,
+      'Workspace': workspace.name,
+      'Cluster': `${workspace.name} #${index + 1}`,
+      'Match Type': cluster.matchType,
+      'Similarity': `${Math.round(similarity * 100)}%`,
+      'Tag Name': tag.name,
+      'Tag ID': tag.tagId,
+      'Tag Type': tag.type,
+      'Firing Triggers': formatGTMTriggerList(tag.firingTriggerId || [], triggerNames) || 'None',
+      'Paused': tag.paused ? 'Yes' : 'No',
+      'Observations': cluster.observation
+    }));
+  });
+
+  logEvent('GTM', `👯 Duplicate tags ${container.name}/${workspace.name}: ${clusters.length} clusters`);
+  return rows;
+}
+
+/**
+ * Groups tags by a key, keeping only groups with more than one tag.
+ * @param {Array<Object>} tags - Tags to group.
+ * @param {Function} keyOf - Returns the grouping key of a tag.
+ * @returns {Array<Array<Object>>} Groups of two or more tags.
+ */
+function groupGTMTagsBy(tags, keyOf) {
+  const groups = {};
+  tags.forEach(tag => {
+    const key = keyOf(tag);
+    (groups[key] = groups[key] || []).push(tag);
+  });
+  return Object.values(groups).filter(group => group.length > 1);
+}
+
+/**
+ * Computes the weighted share of identical fields between two flattened tags (see GTM_DUPLICATE_FIELD_WEIGHTS).
+ * @param {Object} a - Fields of the first tag (from flattenGTMCompareEntity).
+ * @param {Object} b - Fields of the second tag.
+ * @returns {number} Similarity between 0 and 1.
+ */
+function getGTMTagSimilarity(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  if (keys.size === 0) return 1;
+  let same = 0;
+  let total = 0;
+  keys.forEach(key => {
+    const weight = GTM_DUPLICATE_FIELD_WEIGHTS[key] || 1;
+    total += weight;
+    if (a[key] === b[key]) same += weight;
+  });
+  return same / total;
+}
+
+/**
+ * Gets the lowest pairwise similarity within a cluster.
+ * @param {Array<Object>} members - Tags of the cluster.
+ * @param {Object} fields - Map of tagId -> flattened fields.
+ * @param {Object} similarityByPair - Similarities already computed, by "idA|idB".
+ * @returns {number} Similarity between 0 and 1.
+ */
+function getGTMClusterSimilarity(members, fields, similarityByPair) {
+  let lowest = 1;
+  members.forEach((a, i) => {
+    members.slice(i + 1).forEach(b => {
+      const cached = similarityByPair[`${a.tagId}|${b.tagId}`] !== undefined ?
+        similarityByPair[`${a.tagId}|${b.tagId}`] : similarityByPair[`${b.tagId}|${a.tagId}`];
+      const similarity = cached !== undefined ? cached : getGTMTagSimilarity(fields[a.tagId], fields[b.tagId]);
+      lowest = Math.min(lowest, similarity);
+    });
+  });
+  return lowest;
+}
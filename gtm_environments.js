@@ -0,0 +1,92 @@
+/**
+ * @fileoverview GTM Environments Module.
+ * Lists the environments of each container with their URL, debug flag, authorization age
+ * and linked version or workspace. Authorization codes themselves are never written.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_ENVIRONMENTS_HEADERS = [
+  'Container Name', 'Container ID', 'Environment Name', 'Environment ID', 'Type', 'Description',
+  'URL', 'Debug Enabled', 'Authorized Since', 'Authorization Age (days)', 'Linked Version',
+  'Linked Workspace', 'Environment URL', 'Observations'
+];
+
+const GTM_ENVIRONMENT_TYPES = {
+  user: 'Custom',
+  live: 'Live',
+  latest: 'Latest',
+  workspace: 'Workspace Preview'
+};
+
+// Authorization codes older than this should be reset
+const GTM_ENVIRONMENT_AUTH_MAX_AGE_DAYS = 180;
+
+// =================================================================
+// ENVIRONMENTS INVENTORY (CALLED FROM THE GTM SYNC)
+// =================================================================
+
+/**
+ * Gets the environments of a container as GTM_ENVIRONMENTS rows.
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @returns {Array<Object>} Environment rows.
+ */
+function getGTMEnvironments(container) {
+  const auth = getAuthConfig('gtm');
+  const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
+  const environmentsUrl = `https://tagmanager.googleapis.com/tagmanager/v2/accounts/${container.accountId}/containers/${container.containerId}/environments`;
+  const environments = fetchWithRetry(environmentsUrl, options, 'GTM-Environments').environment || [];
+
+  logEvent('GTM', `🌐 Environments in ${container.name}: ${environments.length}`);
+  return environments.map(environment => processGTMEnvironment(environment, container));
+}
+
+/**
+ * Processes an environment into a GTM_ENVIRONMENTS row.
+ * @param {Object} environment - Environment from the API.
+ * @param {Object} container - Container the environment belongs to.
+ * @returns {Object} GTM_ENVIRONMENTS row.
+ */
+function processGTMEnvironment(environment, container) {
+  const authorizedAt = parseGTMTimestamp(environment.authorizationTimestamp);
+  const authAgeDays = authorizedAt ? Math.floor((Date.now() - authorizedAt.getTime()) / 86400000) : null;
+  const isCustom = environment.type === 'user';
+
+  const observations = [];
+  if (isCustom && authAgeDays !== null && authAgeDays > GTM_ENVIRONMENT_AUTH_MAX_AGE_DAYS) {
+    observations.push(`Authorization code older than ${GTM_ENVIRONMENT_AUTH_MAX_AGE_DAYS} days - reset it`);
+  }
+  if (isCustom && environment.enableDebug) observations.push('Debug mode enabled - visitors of this environment see the debug panel');
+  if (isCustom && !environment.url) observations.push('No URL set');
+  if (isCustom && !environment.containerVersionId && !environment.workspaceId) observations.push('No version published to this environment');
+
+  return {
+    'Container Name': container.name || 'N/A',
+    'Container ID': container.containerId || 'N/A',
+    'Environment Name': environment.name || 'N/A',
+    'Environment ID': environment.environmentId || 'N/A',
+    'Type': GTM_ENVIRONMENT_TYPES[environment.type] || environment.type || 'N/A',
+    'Description': environment.description || 'N/A',
+    'URL': environment.url || 'N/A',
+    'Debug Enabled': environment.enableDebug ? 'Yes' : 'No',
+    'Authorized Since': authorizedAt ? formatDate(authorizedAt) : 'N/A',
+    'Authorization Age (days)': authAgeDays !== null ? authAgeDays : 'N/A',
+    'Linked Version': environment.containerVersionId || 'N/A',
+    'Linked Workspace': environment.workspaceId || 'N/A',
+    'Environment URL': environment.tagManagerUrl || 'N/A',
+    'Observations': observations.join('; ') || 'N/A'
+  };
+}
+
+/**
+ * Parses an API timestamp, either an RFC 3339 string or a { seconds, nanos } object.
+ * @param {string|Object} timestamp - Timestamp from the API.
+ * @returns {Date|null} Parsed date, null if missing or invalid.
+ */
+function parseGTMTimestamp(timestamp) {
+  if (!timestamp) return null;
+  const date = typeof timestamp === 'object' ? new Date(parseInt(timestamp.seconds) * 1000) : new Date(timestamp);
+  return isNaN(date.getTime()) ? null : date;
+}
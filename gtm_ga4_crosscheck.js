@@ -0,0 +1,141 @@
+/**
+ * @fileoverview GTM / GA4 Cross-Check Module.
+ * Joins the GA4 tags of GTM_TAGS (processGTMTag rows) with the data streams of GA4_DATA_STREAMS
+ * (processGA4Stream rows) to find unknown measurement IDs, IDs of properties in the trash, web
+ * streams no container sends to and containers sending to several properties.
+ * Streams have no archived state in the Admin API; a deleted stream shows as an unknown ID.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_GA4_CROSSCHECK_HEADERS = [
+  'Check', 'Container Name', 'Container ID', 'Workspace', 'Tag Name', 'Tag Type', 'Measurement ID',
+  'GA4 Property', 'GA4 Property ID', 'GA4 Stream', 'Stream ID', 'Status', 'Details'
+];
+
+const GTM_GA4_CROSSCHECK_STATUS = {
+  ok: 'OK',
+  unknown: 'Unknown Measurement ID',
+  deleted: 'Deleted Property',
+  variable: 'Set by Variable',
+  noTag: 'Stream Without Tag',
+  multipleProperties: 'Multiple Properties'
+};
+
+// =================================================================
+// CROSS-CHECK (CALLED FROM THE GTM SYNC)
+// =================================================================
+
+/**
+ * Cross-checks web GA4 tags against the audited GA4 data streams.
+ * Requires a previous GA4 audit (GA4_DATA_STREAMS and GA4_PROPERTIES sheets).
+ * @param {Array<Object>} tagRows - Web GTM_TAGS rows from processGTMTag.
+ * @returns {Array<Object>} GTM_GA4_CROSSCHECK rows.
+ */
+function buildGTMGA4CrossCheck(tagRows) {
+  const streamRows = readSheetRecords('GA4_DATA_STREAMS');
+  if (streamRows.length === 0) {
+    logWarning('GTM', 'GA4/GTM cross-check skipped: no GA4 streams found. Run GA4 audit first.');
+    return [];
+  }
+
+  const deletedProperties = new Set(readSheetRecords('GA4_PROPERTIES')
+    .filter(p => p['Delete Time'] && p['Delete Time'] !== 'N/A')
+    .map(p => String(p['Property ID'])));
+
+  const streamsById = {};
+  streamRows.filter(s => String(s['Measurement ID / Package / Bundle']).startsWith('G-')).forEach(s => {
+    streamsById[s['Measurement ID / Package / Bundle']] = s;
+  });
+
+  const rows = [];
+  const usedMeasurementIds = new Set();
+  const propertiesByContainer = {};
+
+  tagRows.filter(t => GTM_GA4_TAG_TYPES.includes(t['Tag Type']) && t['Version Status'] !== GTM_VERSION_STATUS.deletedInDraft).forEach(tag => {
+    const measurementId = String(tag['Measurement ID'] || '');
+    const isVariable = /\{\{.+\}\}/.test(measurementId);
+    // GA4 event tags linked to a configuration tag carry no ID of their own
+    if (!isVariable && !/^G-[A-Z0-9]+$/i.test(measurementId)) return;
+
+    const stream = streamsById[measurementId];
+    let status = GTM_GA4_CROSSCHECK_STATUS.ok;
+    let details = 'Measurement ID matches an audited stream';
+    if (isVariable) {
+      status = GTM_GA4_CROSSCHECK_STATUS.variable;
+      details = 'Measurement ID comes from a variable - check its value per environment';
+    } else if (!stream) {
+      status = GTM_GA4_CROSSCHECK_STATUS.unknown;
+      details = 'No audited GA4 property has this measurement ID (typo, other account or deleted stream)';
+    } else if (deletedProperties.has(String(stream['Property ID']))) {
+      status = GTM_GA4_CROSSCHECK_STATUS.deleted;
+      details = 'The stream belongs to a property in the trash - data is no longer collected';
+    }
+
+    if (stream) {
+      usedMeasurementIds.add(measurementId);
+      const key = `${tag['Container ID']}|${tag['Workspace']}`;
+      propertiesByContainer[key] = propertiesByContainer[key] || { tag: tag, properties: {} };
+      propertiesByContainer[key].properties[stream['Property ID']] = stream['Property Name'];
+    }
+
+    rows.push({
+      'Check': 'Tag',
+      'Container Name': tag['Container Name'],
+      'Container ID': tag['Container ID'],
+      'Workspace': tag['Workspace'],
+      'Tag Name': tag['Tag Name'],
+      'Tag Type': tag['Tag Type'],
+      'Measurement ID': measurementId,
+      'GA4 Property': stream ? stream['Property Name'] : 'N/A',
+      'GA4 Property ID': stream ? stream['Property ID'] : 'N/A',
+      'GA4 Stream': stream ? stream['Stream Name'] : 'N/A',
+      'Stream ID': stream ? stream['Stream ID'] : 'N/A',
+      'Status': status,
+      'Details': details
+    });
+  });
+
+  Object.values(propertiesByContainer).filter(c => Object.keys(c.properties).length > 1).forEach(({ tag, properties }) => {
+    rows.push({
+      'Check': 'Container',
+      'Container Name': tag['Container Name'],
+      'Container ID': tag['Container ID'],
+      'Workspace': tag['Workspace'],
+      'Tag Name': 'N/A',
+      'Tag Type': 'N/A',
+      'Measurement ID': 'N/A',
+      'GA4 Property': Object.values(properties).join(', '),
+      'GA4 Property ID': Object.keys(properties).join(', '),
+      'GA4 Stream': 'N/A',
+      'Stream ID': 'N/A',
+      'Status': GTM_GA4_CROSSCHECK_STATUS.multipleProperties,
+      'Details': `Sends to ${Object.keys(properties).length} properties - confirm this is intended (e.g. roll-up property)`
+    });
+  });
+
+  Object.keys(streamsById).filter(id => !usedMeasurementIds.has(id)).forEach(measurementId => {
+    const stream = streamsById[measurementId];
+    if (deletedProperties.has(String(stream['Property ID']))) return;
+    rows.push({
+      'Check': 'Stream',
+      'Container Name': 'N/A',
+      'Container ID': 'N/A',
+      'Workspace': 'N/A',
+      'Tag Name': 'N/A',
+      'Tag Type': 'N/A',
+      'Measurement ID': measurementId,
+      'GA4 Property': stream['Property Name'],
+      'GA4 Property ID': stream['Property ID'],
+      'GA4 Stream': stream['Stream Name'],
+      'Stream ID': stream['Stream ID'],
+      'Status': GTM_GA4_CROSSCHECK_STATUS.noTag,
+      'Details': 'No audited container sends to this web stream (hard-coded gtag.js or unaudited container?)'
+    });
+  });
+
+  logEvent('GTM', `🔗 GA4/GTM cross-check: ${rows.filter(r => r['Status'] !== GTM_GA4_CROSSCHECK_STATUS.ok).length} findings`);
+  return rows;
+}
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Google Tag Manager Governance Module.
+ * User permissions audit for GTM accounts and containers, written in the same
+ * record shape as the GA4 User Access Audit so both reports can be filtered together.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_GOVERNANCE_SHEETS = {
+    userAccess: 'GTM_USER_ACCESS'
+};
+
+// Container permissions from lowest to highest; each one includes the previous ones
+const GTM_CONTAINER_PERMISSIONS = ['read', 'edit', 'approve', 'publish'];
+
+const GTM_PUBLIC_EMAIL_DOMAINS = ['gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'icloud.com'];
+
+// =================================================================
+// USER ACCESS AUDIT
+// =================================================================
+
+/**
+ * Runs the GTM User Access Audit.
+ * Fetches the user permissions of every accessible GTM account and flags security issues.
+ * Called from menu: Extensions > Addocu > Governance > GTM User Access Audit
+ */
+function runGTMUserAccessAudit() {
+    const startTime = Date.now();
+
+    try {
+        logEvent('GOVERNANCE', 'Starting GTM User Access Audit...');
+        SpreadsheetApp.getActiveSpreadsheet().toast('Auditing GTM user access...', 'Governance', 20);
+
+        // 1. Get accounts and their containers
+        const accounts = getGTMAccountsForAudit();
+
+        // 2. Fetch user permissions
+        const accessRecords = fetchAllGTMUserAccess(accounts);
+
+        // 3. Write (same layout as GA4_USER_ACCESS)
+        writeUserAccessReport(accessRecords, GTM_GOVERNANCE_SHEETS.userAccess);
+
+        const duration = Date.now() - startTime;
+        logEvent('GOVERNANCE', `GTM audit complete: ${accessRecords.length} access records found in ${Math.round(duration / 1000)}s`);
+
+        // 4. Alert on critical issues and on accounts that could not be checked
+        const critical = accessRecords.filter(r => /External|Public Domain/.test(r['Issues'])).length;
+        const notAudited = accessRecords.filter(r => /^Not Audited/.test(r['Issues'])).length;
+        if (critical > 0 || notAudited > 0) {
+            const lines = [];
+            if (critical > 0) lines.push(`Found ${critical} GTM access records with external publishers or public-domain users.`);
+            if (notAudited > 0) lines.push(`${notAudited} GTM accounts could not be audited: only account admins can list users, so whether these accounts have an admin at all cannot be checked. Ask an admin of each account to run the audit.`);
+            SpreadsheetApp.getUi().alert(
+                'Security Warning',
+                `${lines.join('\n\n')}\nCheck the GTM_USER_ACCESS sheet.`,
+                SpreadsheetApp.getUi().ButtonSet.OK
+            );
+        } else {
+            SpreadsheetApp.getActiveSpreadsheet().toast('GTM User Access Audit complete.', 'Governance', 5);
+        }
+
+    } catch (e) {
+        logError('GOVERNANCE', `GTM User Access Audit failed: ${e.message}`);
+        SpreadsheetApp.getUi().alert('Error', `GTM audit failed: ${e.message}`, SpreadsheetApp.getUi().ButtonSet.OK);
+    } finally {
+        flushLogs();
+    }
+}
+
+/**
+ * Groups the accessible containers by account.
+ * @returns {Array<Object>} Accounts as { id, name, containers: { containerId: name } }.
+ */
+function getGTMAccountsForAudit() {
+    const accounts = {};
+
+    getAllGTMContainers().forEach(container => {
+        if (!accounts[container.accountId]) {
+            accounts[container.accountId] = { id: container.accountId, name: container.accountName, containers: {} };
+        }
+        accounts[container.accountId].containers[container.containerId] = container.name;
+    });
+
+    return Object.values(accounts);
+}
+
+/**
+ * Fetches the user permissions of each account.
+ * Requires the tagmanager.manage.users scope and account admin rights. Since only admins can list
+ * the users, accounts without admin cannot be detected; accounts that cannot be read get a
+ * 'Not Audited' record instead.
+ */
+function fetchAllGTMUserAccess(accounts) {
+    const allRecords = [];
+    const auth = getAuthConfig('gtm');
+    const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
+    const myDomain = getGTMAuditDomain();
+
+    for (const account of accounts) {
+        try {
+            const permissions = [];
+            let pageToken = '';
+            do {
+                const url = `https://tagmanager.googleapis.com/tagmanager/v2/accounts/${account.id}/user_permissions` +
+                    (pageToken ? `?pageToken=${encodeURIComponent(pageToken)}` : '');
+                const response = fetchWithRetry(url, options, 'GTM-User-Permissions');
+                permissions.push(...(response.userPermission || []));
+                pageToken = response.nextPageToken || '';
+            } while (pageToken);
+
+            for (const permission of permissions) {
+                allRecords.push(...processGTMUserRecords(permission, account, myDomain));
+            }
+        } catch (e) {
+            logWarning('GOVERNANCE', `Could not get GTM users for account ${account.name} (account admin rights required): ${e.message}`);
+            allRecords.push({
+                'Account Name': account.name,
+                'Account ID': account.id,
+                'Property Name': '(Account Level)',
+                'Property ID': '-',
+                'User Email': '(unknown)',
+                'Direct Roles': '-',
+                'Effective Roles': '-',
+                'Access Type': 'Account',
+                'Issues': 'Not Audited (account admin rights required)',
+                'Sync Date': formatDate(new Date())
+            });
+        }
+        Utilities.sleep(100); // Rate limiting
+    }
+
+    return allRecords;
+}
+
+/**
+ * Processes a GTM user permission into an account record plus one record per container.
+ * Containers go in the Property Name / Property ID columns of the shared layout.
+ * @param {Object} permission - UserPermission from the API.
+ * @param {Object} account - Account from getGTMAccountsForAudit.
+ * @param {string} myDomain - Domain of the auditing user, empty if unknown or public.
+ * @returns {Array<Object>} Access records.
+ */
+function processGTMUserRecords(permission, account, myDomain) {
+    const email = permission.emailAddress || '';
+    const domain = (email.split('@')[1] || '').toLowerCase();
+    const isPublicEmail = GTM_PUBLIC_EMAIL_DOMAINS.includes(domain);
+    const isExternal = !!myDomain && domain !== myDomain;
+    const accountRole = (permission.accountAccess && permission.accountAccess.permission) || 'noAccess';
+    const syncDate = formatDate(new Date());
+    const records = [];
+
+    const accountIssues = [];
+    if (accountRole === 'admin' && isPublicEmail) accountIssues.push('External Admin');
+
+    records.push({
+        'Account Name': account.name,
+        'Account ID': account.id,
+        'Property Name': '(Account Level)',
+        'Property ID': '-',
+        'User Email': email,
+        'Direct Roles': accountRole,
+        'Effective Roles': accountRole === 'admin' ? 'admin, user' : accountRole,
+        'Access Type': 'Account',
+        'Issues': accountIssues.join(', ') || 'OK',
+        'Sync Date': syncDate
+    });
+
+    (permission.containerAccess || []).filter(c => c.permission && c.permission !== 'noAccess').forEach(access => {
+        const level = GTM_CONTAINER_PERMISSIONS.indexOf(access.permission);
+        const issues = [];
+        if (access.permission === 'publish' && isPublicEmail) issues.push('Public Domain Publisher');
+        else if (access.permission === 'publish' && isExternal) issues.push('External Publisher');
+
+        records.push({
+            'Account Name': account.name,
+            'Account ID': account.id,
+            'Property Name': account.containers[access.containerId] || `Container ${access.containerId}`,
+            'Property ID': access.containerId,
+            'User Email': email,
+            'Direct Roles': access.permission,
+            'Effective Roles': level >= 0 ? GTM_CONTAINER_PERMISSIONS.slice(0, level + 1).join(', ') : access.permission,
+            'Access Type': 'Container',
+            'Issues': issues.join(', ') || 'OK',
+            'Sync Date': syncDate
+        });
+    });
+
+    return records;
+}
+
+/**
+ * Gets the domain of the auditing user to flag external users.
+ * Returns an empty string for public domains (everyone would be external).
+ */
+function getGTMAuditDomain() {
+    try {
+        const domain = (getMyDomain() || '').toLowerCase();
+        return GTM_PUBLIC_EMAIL_DOMAINS.includes(domain) ? '' : domain;
+    } catch (e) {
+        return '';
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview GTM Naming Convention Linter.
+ * Checks tag, trigger, variable and folder names against the regex rules of the editable
+ * GTM_NAMING_RULES sheet (global rules with per-container overrides) and suggests a fix.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_NAMING_HEADERS = [
+  'Container Name', 'Container ID', 'Workspace', 'Entity Type', 'Entity Name', 'Entity ID',
+  'Type', 'Rule Scope', 'Failing Rule', 'Rule Description', 'Suggested Fix'
+];
+
+const GTM_NAMING_RULES_SHEET = 'GTM_NAMING_RULES';
+
+const GTM_NAMING_RULES_HEADERS = ['Entity Type', 'Container', 'Pattern', 'Description', 'Active'];
+
+const GTM_NAMING_ENTITY_TYPES = [
+  { label: 'Tag', rawKey: 'tags', idKey: 'tagId' },
+  { label: 'Trigger', rawKey: 'triggers', idKey: 'triggerId' },
+  { label: 'Variable', rawKey: 'variables', idKey: 'variableId' },
+  { label: 'Folder', rawKey: 'folders', idKey: 'folderId' }
+];
+
+// Words that usually name an entity type in conventions, used to pick a prefix in suggestions
+const GTM_NAMING_TYPE_HINTS = {
+  gaawe: ['GA4', 'Event'], gaawc: ['GA4', 'Config'], googtag: ['GA4', 'Config', 'Google Tag'],
+  awct: ['Ads', 'Conversion'], sp: ['Ads', 'Remarketing'], gclidw: ['Ads', 'Conversion Linker'], html: ['HTML', 'Custom HTML'],
+  customEvent: ['CE', 'Custom Event', 'Event'], pageview: ['PV', 'Page View', 'Pageview'], domReady: ['DOM', 'DOM Ready'],
+  windowLoaded: ['WL', 'Window Loaded'], click: ['Click'], linkClick: ['Click', 'Link Click'], formSubmission: ['Form'],
+  historyChange: ['History'], timer: ['Timer'], scrollDepth: ['Scroll'], elementVisibility: ['Visibility'],
+  youTubeVideo: ['YouTube', 'Video'], jsError: ['Error'], triggerGroup: ['Group'],
+  v: ['DLV', 'Data Layer'], jsm: ['CJS', 'Custom JS'], j: ['JS', 'JavaScript'], c: ['Const', 'Constant'], u: ['URL'],
+  smm: ['LT', 'Lookup'], remm: ['RegEx', 'RT'], k: ['Cookie'], d: ['DOM'], aev: ['AEV']
+};
+
+// =================================================================
+// NAMING LINTER (CALLED FROM THE GTM SYNC)
+// =================================================================
+
+/**
+ * Lints the entity names of a workspace against the naming rules.
+ * An entity passes when it matches at least one active rule of its type. Rules scoped to a
+ * container replace the global rules of the same entity type for that container.
+ * @param {Object} raw - Raw workspace entities ({tags, triggers, variables, folders, ...}).
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @param {Object} workspace - Workspace being audited.
+ * @param {Array<Object>} rules - Rules from getOrCreateGTMNamingRulesSheet.
+ * @returns {Array<Object>} GTM_NAMING rows.
+ */
+function buildGTMNamingReport(raw, container, workspace, rules) {
+  if (!rules || rules.length === 0) return [];
+  const rows = [];
+
+  GTM_NAMING_ENTITY_TYPES.forEach(({ label, rawKey, idKey }) => {
+    const typeRules = rules.filter(r => r.entityType === label);
+    const overrides = typeRules.filter(r => r.container && isGTMNamingRuleContainer(r.container, container));
+    const applicable = overrides.length > 0 ? overrides : typeRules.filter(r => !r.container);
+    if (applicable.length === 0) return;
+
+    (raw[rawKey] || []).forEach(entity => {
+      if (applicable.some(r => r.regex.test(entity.name))) return;
+
+      const rule = applicable[0];
+      rows.push({
+        'Container Name': container.name,
+        'Container ID': container.containerId,
+        'Workspace': workspace.name,
+        'Entity Type': label,
+        'Entity Name': entity.name,
+        'Entity ID': entity[idKey],
+        'Type': entity.type || 'N/A',
+        'Rule Scope': rule.container ? `Container: ${rule.container}` : 'Global',
+        'Failing Rule': applicable.map(r => r.pattern).join(' OR '),
+        'Rule Description': rule.description || 'N/A',
+        'Suggested Fix': suggestGTMName(entity, label, applicable)
+      });
+    });
+  });
+
+  logEvent('GTM', `🔤 Naming ${container.name}/${workspace.name}: ${rows.length} names break the conventions`);
+  return rows;
+}
+
+/**
+ * Checks whether a rule's container scope designates a container.
+ * @param {string} scope - Public ID, numeric ID or name from the rules sheet.
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @returns {boolean} True if the rule applies to the container.
+ */
+function isGTMNamingRuleContainer(scope, container) {
+  const ref = scope.toLowerCase();
+  return (container.publicId && container.publicId.toLowerCase() === ref) ||
+    container.containerId === scope ||
+    (container.name && container.name.toLowerCase() === ref);
+}
+
+// =================================================================
+// SUGGESTIONS
+// =================================================================
+
+/**
+ * Suggests a name that satisfies the rules, or explains what to change.
+ * Tries, in order: normalized separators and spacing, rebuilding the leading (A|B|C)
+ * groups of the pattern from the current name, entity type and vendor, and capitalization.
+ * @param {Object} entity - Tag, trigger, variable or folder.
+ * @param {string} entityType - Entity type label (Tag, Trigger...).
+ * @param {Array<Object>} rules - Applicable rules.
+ * @returns {string} Suggested fix.
+ */
+function suggestGTMName(entity, entityType, rules) {
+  const name = String(entity.name || '');
+  const matches = candidate => rules.some(r => r.regex.test(candidate));
+
+  const spaced = name.replace(/\s+/g, ' ').trim();
+  const separated = spaced.replace(/\s*(?:[_|:\/]|\s-|-\s|\s–\s)\s*/g, ' - ');
+  for (const candidate of [spaced, separated]) {
+    if (candidate !== name && matches(candidate)) return `Rename to "${candidate}"`;
+  }
+
+  const hints = getGTMNamingHints(entity, entityType);
+  for (const rule of rules) {
+    const candidate = buildGTMNameFromPattern(rule.pattern, separated, hints);
+    if (candidate && matches(candidate)) return `Rename to "${candidate}"`;
+  }
+
+  if (rules.some(r => new RegExp(r.regex.source, 'i').test(name))) {
+    return 'Fix the capitalization to match the rule';
+  }
+
+  return `Rename to match ${rules[0].pattern}`;
+}
+
+/**
+ * Gets the words describing an entity (type hints, tag vendor), lower-cased.
+ * @param {Object} entity - Tag, trigger, variable or folder.
+ * @param {string} entityType - Entity type label.
+ * @returns {Array<string>} Hint words.
+ */
+function getGTMNamingHints(entity, entityType) {
+  const hints = (GTM_NAMING_TYPE_HINTS[entity.type] || []).slice();
+  if (entityType === 'Tag') hints.push(getGTMTagVendor(entity).vendor);
+  return hints.map(h => h.toLowerCase());
+}
+
+/**
+ * Rebuilds a name from the leading alternation groups of a pattern, e.g.
+ * ^(GA4|Ads) - (Event|Config) - .+$ with hints ['ga4', 'event'] and name "purchase"
+ * gives "GA4 - Event - purchase".
+ * @param {string} pattern - Rule pattern.
+ * @param {string} name - Current name (separators normalized).
+ * @param {Array<string>} hints - Lower-case hint words.
+ * @returns {string|null} Candidate name, or null if the pattern has no usable groups.
+ */
+function buildGTMNameFromPattern(pattern, name, hints) {
+  let rest = pattern.replace(/^\^/, '');
+  const groups = [];
+  let separator = ' - ';
+
+  let group = rest.match(/^\(\??:?([\w .&|]+)\)(\s?[-_:\/]\s?|\s)?/);
+  while (group) {
+    groups.push(group[1].split('|'));
+    if (group[2]) separator = group[2];
+    rest = rest.substring(group[0].length);
+    group = rest.match(/^\(\??:?([\w .&|]+)\)(\s?[-_:\/]\s?|\s)?/);
+  }
+  if (groups.length === 0) return null;
+
+  const nameParts = name.split(/\s+-\s+/);
+  const chosen = groups.map((alternatives, index) => {
+    const fromName = alternatives.find(a => nameParts[index] && nameParts[index].toLowerCase() === a.toLowerCase());
+    return fromName || alternatives.find(a => hints.some(h => h === a.toLowerCase() || h.split(' ').includes(a.toLowerCase())));
+  });
+  if (chosen.some(c => !c)) return null;
+
+  // Drop leading parts of the current name that are already one of the group values
+  let remaining = nameParts;
+  while (remaining.length > 1 && groups.some(g => g.some(a => a.toLowerCase() === remaining[0].toLowerCase()))) {
+    remaining = remaining.slice(1);
+  }
+  return [...chosen, remaining.join(' - ')].join(separator);
+}
+
+// =================================================================
+// RULES SHEET
+// =================================================================
+
+/**
+ * Gets or creates the GTM_NAMING_RULES sheet and reads its active rules.
+ * The sheet is created the first time with inactive example rules, so nothing is flagged until
+ * the rules are adapted and set to Active.
+ * @returns {Array<Object>} Rules as { entityType, container, pattern, regex, description }.
+ */
+function getOrCreateGTMNamingRulesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(GTM_NAMING_RULES_SHEET);
+  const headers = GTM_NAMING_RULES_HEADERS;
+
+  if (!sheet) {
+    sheet = ss.insertSheet(GTM_NAMING_RULES_SHEET);
+    sheet.setTabColor('#3B82F6'); // Blue for config
+
+    const headerRange = sheet.getRange(1, 1, 1, headers.length);
+    headerRange.setValues([headers]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#1E40AF');
+    headerRange.setFontColor('white');
+    sheet.getRange(1, 1).setNote('Entity Type: Tag, Trigger, Variable or Folder. Leave Container empty for global rules; a container ID or name overrides the global rules of that type. Set Active to TRUE to apply a rule.');
+
+    const examples = [
+      ['Tag', '', '^(GA4|Ads|Meta) - (Event|Config) - .+$', 'Platform - Kind - Detail', false],
+      ['Trigger', '', '^(CE|Click|PV) - ', 'Trigger type prefix', false],
+      ['Variable', '', '^(DLV|JS|CJS|Const|URL|LT) - ', 'Variable type prefix', false],
+      ['Folder', '', '^[A-Z0-9]', 'Starts with a capital letter or number', false]
+    ];
+    sheet.getRange(2, 1, examples.length, headers.length).setValues(examples);
+
+    sheet.autoResizeColumns(1, headers.length);
+    sheet.setFrozenRows(1);
+
+    logEvent('GTM', `Created ${GTM_NAMING_RULES_SHEET} sheet with example rules`);
+  }
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return [];
+
+  const data = sheet.getRange(2, 1, lastRow - 1, headers.length).getValues();
+  const rules = [];
+  data.filter(row => row[0] && row[2] && row[4] === true).forEach(row => {
+    const pattern = row[2].toString().trim();
+    try {
+      rules.push({
+        entityType: row[0].toString().trim(),
+        container: row[1].toString().trim(),
+        pattern: pattern,
+        regex: new RegExp(pattern),
+        description: row[3].toString().trim()
+      });
+    } catch (e) {
+      logWarning('GTM', `Invalid naming rule ignored (${row[0]}): ${pattern} - ${e.message}`);
+    }
+  });
+  return rules;
+}
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Server-side GTM (sGTM) Module.
+ * Processes clients and transformations of server containers and links server containers
+ * to the web containers and GA4 streams that send data to them.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_SERVER_CLIENTS_HEADERS = [
+  'Container Name', 'Container ID', 'Workspace', 'Client Name', 'Client ID', 'Client Type',
+  'Priority', 'Key Parameters', 'Last Modified', 'Notes', 'Observations'
+];
+
+const GTM_SERVER_TRANSFORMATIONS_HEADERS = [
+  'Container Name', 'Container ID', 'Workspace', 'Transformation Name', 'Transformation ID',
+  'Transformation Type', 'Key Parameters', 'Last Modified', 'Notes'
+];
+
+const GTM_SERVER_LINKS_HEADERS = [
+  'Web Container', 'Web Container ID', 'Workspace', 'Tag Name', 'Tag Type', 'Measurement ID',
+  'GA4 Property', 'GA4 Stream', 'Server Container URL', 'Server Container', 'Server Container ID', 'Status'
+];
+
+// Tag settings that route GA4 hits to a server container
+const GTM_SERVER_URL_SETTINGS = ['server_container_url', 'transport_url', 'serverContainerUrl'];
+
+// =================================================================
+// DATA PROCESSORS
+// =================================================================
+
+/**
+ * Processes a server container client.
+ * @param {Object} client - Client from the API.
+ * @param {Object} container - Server container.
+ * @param {Object} workspace - Workspace of the client.
+ * @returns {Object} GTM_SERVER_CLIENTS row.
+ */
+function processGTMClient(client, container, workspace) {
+  const observations = [];
+  if (client.type && client.type.startsWith('cvt_')) observations.push('Custom template client');
+  if (client.priority === undefined) observations.push('Default priority');
+
+  return {
+    'Container Name': container.name || 'N/A',
+    'Container ID': container.containerId || 'N/A',
+    'Workspace': workspace.name || 'N/A',
+    'Client Name': client.name || 'N/A',
+    'Client ID': client.clientId || 'N/A',
+    'Client Type': client.type || 'N/A',
+    'Priority': client.priority !== undefined ? client.priority : 'N/A',
+    'Key Parameters': summarizeGTMServerParameters(client),
+    'Last Modified': formatDate(client.fingerprint) || 'N/A',
+    'Notes': client.notes || 'N/A',
+    'Observations': observations.join('; ') || 'N/A'
+  };
+}
+
+/**
+ * Processes a server container transformation.
+ * @param {Object} transformation - Transformation from the API.
+ * @param {Object} container - Server container.
+ * @param {Object} workspace - Workspace of the transformation.
+ * @returns {Object} GTM_SERVER_TRANSFORMATIONS row.
+ */
+function processGTMTransformation(transformation, container, workspace) {
+  return {
+    'Container Name': container.name || 'N/A',
+    'Container ID': container.containerId || 'N/A',
+    'Workspace': workspace.name || 'N/A',
+    'Transformation Name': transformation.name || 'N/A',
+    'Transformation ID': transformation.transformationId || 'N/A',
+    'Transformation Type': transformation.type || 'N/A',
+    'Key Parameters': summarizeGTMServerParameters(transformation),
+    'Last Modified': formatDate(transformation.fingerprint) || 'N/A',
+    'Notes': transformation.notes || 'N/A'
+  };
+}
+
+/**
+ * Summarizes the first parameters of a client or transformation.
+ * @param {Object} entity - Client or transformation.
+ * @returns {string} key=value pairs.
+ */
+function summarizeGTMServerParameters(entity) {
+  const params = (entity.parameter || []).slice(0, 5).map(p => {
+    const value = p.value !== undefined ? p.value : `${(p.list || p.map || []).length} items`;
+    return `${p.key}=${value}`;
+  });
+  return params.join('; ') || 'N/A';
+}
+
+// =================================================================
+// WEB -> SERVER CONTAINER LINKS
+// =================================================================
+
+/**
+ * Links web GA4 tags to the server containers they send data to.
+ * Server containers are matched by the hostnames of their tagging server URLs.
+ * @param {Array<Object>} webGA4Tags - Web GA4 tags as { tag, container, workspace }.
+ * @param {Array<Object>} serverContainers - Server containers from getAllGTMContainers.
+ * @returns {Array<Object>} GTM_SERVER_LINKS rows.
+ */
+function buildGTMServerLinks(webGA4Tags, serverContainers) {
+  if (serverContainers.length === 0 && webGA4Tags.length === 0) return [];
+
+  const serversByHost = {};
+  serverContainers.forEach(server => {
+    (server.taggingServerUrls || []).forEach(url => {
+      const host = getGTMUrlHost(url);
+      if (host) serversByHost[host] = server;
+    });
+  });
+
+  const streams = getGA4StreamsByMeasurementId();
+  const linkedServers = new Set();
+  const rows = [];
+
+  webGA4Tags.forEach(({ tag, container, workspace }) => {
+    const serverUrl = getGTMTagSetting(tag, GTM_SERVER_URL_SETTINGS);
+    if (!serverUrl) return;
+
+    const measurementId = getGTMGA4MeasurementId(tag);
+    const stream = streams[measurementId];
+    const server = serversByHost[getGTMUrlHost(serverUrl)];
+    if (server) linkedServers.add(server.containerId);
+
+    let status = 'Linked';
+    if (/\{\{.+\}\}/.test(serverUrl)) status = 'Server URL set by variable - not resolved';
+    else if (!server) status = 'No audited server container uses this URL';
+
+    rows.push({
+      'Web Container': container.name,
+      'Web Container ID': container.containerId,
+      'Workspace': workspace.name,
+      'Tag Name': tag.name,
+      'Tag Type': tag.type,
+      'Measurement ID': measurementId || 'N/A',
+      'GA4 Property': stream ? stream.property : 'N/A',
+      'GA4 Stream': stream ? stream.stream : 'N/A',
+      'Server Container URL': serverUrl,
+      'Server Container': server ? server.name : 'N/A',
+      'Server Container ID': server ? server.containerId : 'N/A',
+      'Status': status
+    });
+  });
+
+  serverContainers.filter(server => !linkedServers.has(server.containerId)).forEach(server => {
+    rows.push({
+      'Web Container': 'N/A',
+      'Web Container ID': 'N/A',
+      'Workspace': 'N/A',
+      'Tag Name': 'N/A',
+      'Tag Type': 'N/A',
+      'Measurement ID': 'N/A',
+      'GA4 Property': 'N/A',
+      'GA4 Stream': 'N/A',
+      'Server Container URL': (server.taggingServerUrls || []).join(', ') || 'No tagging server URL',
+      'Server Container': server.name,
+      'Server Container ID': server.containerId,
+      'Status': 'No audited web GA4 tag sends to this server container'
+    });
+  });
+
+  logEvent('GTM', `🖥️ Server container links: ${rows.length}`);
+  return rows;
+}
+
+/**
+ * Gets the lower-case hostname of a URL.
+ * @param {string} url - Absolute URL.
+ * @returns {string} Hostname, empty string if the URL cannot be parsed.
+ */
+function getGTMUrlHost(url) {
+  const match = String(url || '').match(/^(?:https?:)?\/\/([^\/:?#]+)/i);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Indexes the GA4_DATA_STREAMS sheet by measurement ID.
+ * @returns {Object} Map of measurementId -> { property, propertyId, stream, streamId }.
+ */
+function getGA4StreamsByMeasurementId() {
+  const index = {};
+  const streams = readSheetRecords('GA4_DATA_STREAMS');
+  if (streams.length === 0) {
+    logWarning('GTM', 'No GA4 streams found. Run GA4 audit first to link measurement IDs to streams.');
+    return index;
+  }
+
+  streams.forEach(stream => {
+    const measurementId = String(stream['Measurement ID / Package / Bundle'] || '');
+    if (!measurementId.startsWith('G-')) return;
+    index[measurementId] = {
+      property: stream['Property Name'],
+      propertyId: stream['Property ID'],
+      stream: stream['Stream Name'],
+      streamId: stream['Stream ID']
+    };
+  });
+  return index;
+}
@@ -0,0 +1,389 @@
+/**
+ * @fileoverview GTM Trigger Simulator Module.
+ * Evaluates the triggers of a workspace against a simulated page URL and dataLayer push
+ * to show which tags would fire or be blocked, without opening GTM Preview.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_SIMULATION_HEADERS = [
+  'Container Name', 'Workspace', 'Event', 'Page URL', 'Tag Name', 'Tag Type', 'Result',
+  'Matched Triggers', 'Reason'
+];
+
+const GTM_SIMULATION_RESULTS = {
+  fires: 'Fires',
+  sequenced: 'Fires (setup/teardown)',
+  blocked: 'Blocked',
+  notFired: 'Does not fire',
+  paused: 'Paused'
+};
+
+// dataLayer event that activates each trigger type (customEvent uses its own event filter)
+const GTM_TRIGGER_EVENTS = {
+  consentInit: 'gtm.init_consent',
+  init: 'gtm.init',
+  pageview: 'gtm.js',
+  domReady: 'gtm.dom',
+  windowLoaded: 'gtm.load',
+  click: 'gtm.click',
+  linkClick: 'gtm.linkClick',
+  formSubmission: 'gtm.formSubmit',
+  historyChange: 'gtm.historyChange',
+  jsError: 'gtm.pageError',
+  timer: 'gtm.timer',
+  scrollDepth: 'gtm.scrollDepth',
+  youTubeVideo: 'gtm.video',
+  elementVisibility: 'gtm.elementVisibility'
+};
+
+// =================================================================
+// SIDEBAR ENTRY POINT
+// =================================================================
+
+/**
+ * Runs a trigger simulation from the sidebar and writes the result to GTM_SIMULATION.
+ * @param {Object} request - { container, workspace, pageUrl, dataLayer (JSON), variables (JSON) }.
+ * @returns {Object} { success, event, fired, blocked, results } or { success: false, error }.
+ */
+function runGTMTriggerSimulation(request) {
+  try {
+    const dataLayer = parseGTMSimulatorJson(request.dataLayer, 'dataLayer push');
+    const variableValues = parseGTMSimulatorJson(request.variables, 'Variable values');
+    const eventName = dataLayer.event || 'gtm.js';
+
+    const container = findGTMContainer(String(request.container || '').trim());
+    const workspace = findGTMWorkspace(container, String(request.workspace || '').trim());
+    if (!workspace) throw new Error(`Container ${container.name} has no workspaces`);
+
+    logEvent('GTM', `🧪 Simulating "${eventName}" on ${container.name}/${workspace.name}`);
+    const raw = getWorkspaceResources(workspace, container).raw;
+    const results = simulateGTMEvent(raw, {
+      pageUrl: request.pageUrl || '',
+      event: eventName,
+      dataLayer: dataLayer,
+      variables: variableValues
+    });
+
+    const rows = results.map(r => ({
+      'Container Name': container.name,
+      'Workspace': workspace.name,
+      'Event': eventName,
+      'Page URL': request.pageUrl || 'N/A',
+      'Tag Name': r.tagName,
+      'Tag Type': r.tagType,
+      'Result': r.result,
+      'Matched Triggers': r.matchedTriggers.join(', ') || 'N/A',
+      'Reason': r.reason
+    }));
+    writeDataToSheet('GTM_SIMULATION', GTM_SIMULATION_HEADERS, rows, 'GTM');
+    flushLogs();
+
+    return {
+      success: true,
+      container: container.name,
+      workspace: workspace.name,
+      event: eventName,
+      fired: results.filter(r => r.result === GTM_SIMULATION_RESULTS.fires || r.result === GTM_SIMULATION_RESULTS.sequenced).length,
+      blocked: results.filter(r => r.result === GTM_SIMULATION_RESULTS.blocked).length,
+      results: results.filter(r => r.result !== GTM_SIMULATION_RESULTS.notFired && r.result !== GTM_SIMULATION_RESULTS.paused)
+    };
+
+  } catch (error) {
+    logError('GTM', `Trigger simulation failed: ${error.message}`);
+    flushLogs();
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Parses a JSON object typed in the sidebar.
+ * @param {string} text - JSON text (may be empty).
+ * @param {string} label - Field name for error messages.
+ * @returns {Object} Parsed object.
+ */
+function parseGTMSimulatorJson(text, label) {
+  if (!text || !String(text).trim()) return {};
+  try {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('not an object');
+    return parsed;
+  } catch (e) {
+    throw new Error(`${label} must be a JSON object: ${e.message}`);
+  }
+}
+
+// =================================================================
+// SIMULATION ENGINE
+// =================================================================
+
+/**
+ * Simulates one dataLayer event against the tags and triggers of a workspace.
+ * @param {Object} raw - Raw workspace entities ({tags, triggers, variables}).
+ * @param {Object} context - { pageUrl, event, dataLayer, variables }.
+ * @returns {Array<Object>} One result per tag: { tagName, tagType, result, matchedTriggers, reason }.
+ */
+function simulateGTMEvent(raw, context) {
+  const tags = raw.tags || [];
+  const triggersById = {};
+  (raw.triggers || []).forEach(tr => { triggersById[tr.triggerId] = tr; });
+  const variablesByName = {};
+  (raw.variables || []).forEach(v => { variablesByName[v.name] = v; });
+
+  const resolve = name => resolveGTMSimulatedVariable(name, context, variablesByName);
+  const triggerCache = {};
+  const evaluate = id => {
+    if (!triggerCache[id]) triggerCache[id] = evaluateGTMSimulatedTrigger(id, triggersById, context, resolve, evaluate);
+    return triggerCache[id];
+  };
+  const triggerName = id => GTM_BUILT_IN_TRIGGERS[id] || (triggersById[id] ? triggersById[id].name : `Unknown trigger (${id})`);
+
+  const results = tags.map(tag => {
+    const result = { tagName: tag.name, tagType: tag.type, result: GTM_SIMULATION_RESULTS.notFired, matchedTriggers: [], reason: '' };
+    if (tag.paused) {
+      result.result = GTM_SIMULATION_RESULTS.paused;
+      result.reason = 'Tag is paused';
+      return result;
+    }
+
+    const firing = tag.firingTriggerId || [];
+    const matched = firing.filter(id => evaluate(id).matches);
+    result.matchedTriggers = matched.map(triggerName);
+
+    if (matched.length === 0) {
+      result.reason = firing.length === 0
+        ? 'No firing triggers'
+        : firing.map(id => `${triggerName(id)}: ${evaluate(id).reason}`).join(' | ');
+      return result;
+    }
+
+    const blocking = (tag.blockingTriggerId || []).filter(id => evaluate(id).matches);
+    if (blocking.length > 0) {
+      result.result = GTM_SIMULATION_RESULTS.blocked;
+      result.reason = `Blocked by ${blocking.map(triggerName).join(', ')}`;
+      return result;
+    }
+
+    result.result = GTM_SIMULATION_RESULTS.fires;
+    result.reason = matched.map(id => `${triggerName(id)}: ${evaluate(id).reason}`)
+      .concat((tag.blockingTriggerId || []).map(id => `exception ${triggerName(id)} not matched: ${evaluate(id).reason}`))
+      .join(' | ');
+    return result;
+  });
+
+  // Setup and teardown tags fire together with the tag that sequences them
+  const byName = {};
+  results.forEach((r, i) => { byName[r.tagName] = { result: r, tag: tags[i] }; });
+  results.filter(r => r.result === GTM_SIMULATION_RESULTS.fires).forEach(r => {
+    const tag = byName[r.tagName].tag;
+    (tag.setupTag || []).concat(tag.teardownTag || []).forEach(s => {
+      const target = byName[s.tagName];
+      if (target && target.result.result === GTM_SIMULATION_RESULTS.notFired) {
+        target.result.result = GTM_SIMULATION_RESULTS.sequenced;
+        target.result.reason = `Sequenced with ${r.tagName}`;
+      }
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Evaluates a trigger for the simulated event.
+ * @param {string} triggerId - Trigger ID (built-in triggers included).
+ * @param {Object} triggersById - Workspace triggers by ID.
+ * @param {Object} context - Simulation context.
+ * @param {function(string): Object} resolve - Variable resolver.
+ * @param {function(string): Object} evaluate - Cached trigger evaluator (for trigger groups).
+ * @returns {Object} { matches, reason }.
+ */
+function evaluateGTMSimulatedTrigger(triggerId, triggersById, context, resolve, evaluate) {
+  if (GTM_BUILT_IN_TRIGGERS[triggerId]) {
+    const expected = GTM_TRIGGER_EVENTS[GTM_BUILT_IN_TRIGGER_TYPES[triggerId]];
+    return expected === context.event
+      ? { matches: true, reason: `event ${expected}` }
+      : { matches: false, reason: `needs event ${expected}` };
+  }
+
+  const trigger = triggersById[triggerId];
+  if (!trigger) return { matches: false, reason: 'trigger not found in workspace' };
+
+  // Trigger groups fire once all their member triggers have fired (approximated for a single event)
+  if (trigger.type === 'triggerGroup') {
+    const members = getGTMTriggerGroupMembers(trigger);
+    const failing = members.filter(id => !evaluate(id).matches);
+    return failing.length === 0
+      ? { matches: true, reason: 'all grouped triggers match' }
+      : { matches: false, reason: `grouped triggers not matched: ${failing.map(id => triggersById[id] ? triggersById[id].name : id).join(', ')}` };
+  }
+
+  if (trigger.type !== 'customEvent') {
+    const expected = GTM_TRIGGER_EVENTS[trigger.type];
+    if (!expected) return { matches: false, reason: `trigger type ${trigger.type} not supported by the simulator` };
+    if (expected !== context.event) return { matches: false, reason: `needs event ${expected}` };
+  }
+
+  const notes = [];
+  for (const condition of parseGTMTriggerConditions(trigger)) {
+    const outcome = evaluateGTMSimulatedCondition(condition, resolve);
+    if (outcome.note) notes.push(outcome.note);
+    if (!outcome.passed) {
+      return { matches: false, reason: [outcome.description].concat(notes).join('; ') };
+    }
+  }
+
+  return { matches: true, reason: ['all conditions match'].concat(notes).join('; ') };
+}
+
+/**
+ * Evaluates one trigger condition.
+ * @param {Object} condition - Condition from parseGTMTriggerConditions.
+ * @param {function(string): Object} resolve - Variable resolver.
+ * @returns {Object} { passed, description, note }.
+ */
+function evaluateGTMSimulatedCondition(condition, resolve) {
+  const left = resolveGTMSimulatedTemplate(condition.variable, resolve);
+  const right = resolveGTMSimulatedTemplate(condition.value, resolve);
+  const operator = condition.negate ? `not ${condition.operator}` : condition.operator;
+  const description = `${condition.variable} ${operator} "${right.value}" failed (value: "${left.value}")`;
+  const unresolved = left.unresolved.concat(right.unresolved);
+  const note = unresolved.length > 0 ? `unresolved: ${unresolved.join(', ')} (set them in Variable values)` : '';
+
+  if (condition.operator === 'cssSelector') {
+    return { passed: true, description: description, note: `CSS selector on ${condition.variable} not evaluated (assumed true)` };
+  }
+
+  const a = left.value;
+  const b = right.value;
+  let passed;
+  switch (condition.operator) {
+    case 'equals': passed = a === b; break;
+    case 'contains': passed = a.indexOf(b) !== -1; break;
+    case 'startsWith': passed = a.indexOf(b) === 0; break;
+    case 'endsWith': passed = b.length <= a.length && a.substring(a.length - b.length) === b; break;
+    case 'matchRegex':
+      try {
+        passed = new RegExp(b, condition.ignoreCase ? 'i' : '').test(a);
+      } catch (e) {
+        return { passed: false, description: `${condition.variable}: invalid regex "${b}"`, note: note };
+      }
+      break;
+    case 'greater': passed = parseFloat(a) > parseFloat(b); break;
+    case 'greaterOrEquals': passed = parseFloat(a) >= parseFloat(b); break;
+    case 'less': passed = parseFloat(a) < parseFloat(b); break;
+    case 'lessOrEquals': passed = parseFloat(a) <= parseFloat(b); break;
+    default:
+      return { passed: true, description: description, note: `operator ${condition.operator} not evaluated (assumed true)` };
+  }
+
+  return { passed: condition.negate ? !passed : passed, description: description, note: note };
+}
+
+/**
+ * Replaces the {{variables}} of a condition operand with their simulated values.
+ * @param {string} template - Operand, e.g. "{{Page Path}}" or "/checkout".
+ * @param {function(string): Object} resolve - Variable resolver.
+ * @returns {Object} { value, unresolved: Array<string> }.
+ */
+function resolveGTMSimulatedTemplate(template, resolve) {
+  const unresolved = [];
+  const value = String(template || '').replace(/\{\{([^}]+)\}\}/g, (match, name) => {
+    const resolved = resolve(name);
+    if (!resolved.resolved) unresolved.push(name);
+    return resolved.value;
+  });
+  return { value: value, unresolved: unresolved };
+}
+
+/**
+ * Resolves a variable for the simulation. Values typed by the analyst win; otherwise
+ * page and event built-ins, data layer, constant, URL and lookup table variables are computed.
+ * @param {string} name - Variable name (without braces).
+ * @param {Object} context - Simulation context.
+ * @param {Object} variablesByName - Workspace variables by name.
+ * @param {number} depth - Recursion depth (lookup tables can reference other variables).
+ * @returns {Object} { value, resolved }.
+ */
+function resolveGTMSimulatedVariable(name, context, variablesByName, depth = 0) {
+  const found = value => ({ value: value === undefined || value === null ? '' : String(value), resolved: true });
+
+  if (Object.prototype.hasOwnProperty.call(context.variables || {}, name)) return found(context.variables[name]);
+
+  const url = parseGTMSimulatedUrl(context.pageUrl);
+  const builtIns = {
+    'Event': context.event,
+    '_event': context.event,
+    'Page URL': url.href,
+    'Page Hostname': url.hostname,
+    'Page Path': url.path
+  };
+  if (Object.prototype.hasOwnProperty.call(builtIns, name)) return found(builtIns[name]);
+
+  const variable = variablesByName[name];
+  if (!variable || depth > 5) return { value: '', resolved: false };
+
+  const param = key => getGTMParameterValue(variable, key);
+  switch (variable.type) {
+    case 'v': {
+      // Data layer variables support dot notation
+      const value = param('name').split('.').reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), context.dataLayer);
+      return value === undefined ? found(param('setDefaultValue') === 'true' ? param('defaultValue') : '') : found(typeof value === 'object' ? JSON.stringify(value) : value);
+    }
+    case 'c':
+      return found(param('value'));
+    case 'u': {
+      const component = (param('component') || 'URL').toUpperCase();
+      if (component === 'HOST') return found(url.hostname);
+      if (component === 'PATH') return found(url.path);
+      if (component === 'FRAGMENT') return found(url.fragment);
+      if (component === 'QUERY') {
+        const key = param('queryKey');
+        return found(key ? (url.query[key] || '') : url.search);
+      }
+      return found(url.href);
+    }
+    case 'smm': {
+      const input = resolveGTMSimulatedTemplate(param('input'), n => resolveGTMSimulatedVariable(n, context, variablesByName, depth + 1));
+      const table = (variable.parameter || []).find(p => p.key === 'map');
+      for (const row of ((table && table.list) || [])) {
+        const fields = {};
+        (row.map || []).forEach(f => { fields[f.key] = f.value; });
+        if (fields.key === input.value) return found(fields.value);
+      }
+      return found(param('setDefaultValue') === 'true' ? param('defaultValue') : '');
+    }
+    default:
+      return { value: '', resolved: false };
+  }
+}
+
+/**
+ * Splits a page URL into the parts used by GTM page variables.
+ * @param {string} pageUrl - Absolute URL.
+ * @returns {Object} { href, hostname, path, search, fragment, query }.
+ */
+function parseGTMSimulatedUrl(pageUrl) {
+  const match = String(pageUrl || '').match(/^(?:([a-z]+:)?\/\/)?([^\/?#]*)([^?#]*)(\?[^#]*)?(#.*)?$/i) || [];
+  const query = {};
+  (match[4] || '').replace(/^\?/, '').split('&').filter(Boolean).forEach(pair => {
+    const [key, value] = pair.split('=');
+    try {
+      query[decodeURIComponent(key)] = decodeURIComponent((value || '').replace(/\+/g, ' '));
+    } catch (e) {
+      query[key] = value || '';
+    }
+  });
+  const hostname = (match[2] || '').replace(/:\d+$/, '').toLowerCase();
+  const path = match[3] || (hostname ? '/' : '');
+  return {
+    // Page URL does not include the fragment
+    href: hostname ? `${match[1] || 'https:'}//${match[2]}${path}${match[4] || ''}` : '',
+    hostname: hostname,
+    path: path,
+    search: match[4] || '',
+    fragment: (match[5] || '').replace(/^#/, ''),
+    query: query
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview GTM Custom Template Inventory Module.
+ * Lists custom templates, their gallery source, where they are used and the sandbox permissions they request.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_TEMPLATES_HEADERS = [
+  'Container Name', 'Container ID', 'Workspace', 'Template Name', 'Template ID', 'Template Type',
+  'Gallery Reference', 'Gallery Version', 'Modified From Gallery', 'Used By', 'Usage Count',
+  'Permissions', 'Injected Scripts', 'Pixel URLs', 'Globals', 'Cookies', 'Other Permissions',
+  'Observations'
+];
+
+// Permissions summarized in their own columns
+const GTM_TEMPLATE_PERMISSION_COLUMNS = {
+  inject_script: 'Injected Scripts',
+  send_pixel: 'Pixel URLs',
+  access_globals: 'Globals',
+  get_cookies: 'Cookies',
+  set_cookies: 'Cookies'
+};
+
+// Permission value types used in templateData
+const GTM_TEMPLATE_VALUE_TYPES = { string: 1, list: 2, map: 3, boolean: 8 };
+
+// =================================================================
+// TEMPLATE INVENTORY (CALLED FROM THE GTM SYNC)
+// =================================================================
+
+/**
+ * Builds the custom template inventory of a workspace.
+ * @param {Object} raw - Raw workspace entities ({tags, variables, templates, ...}).
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @param {Object} workspace - Workspace being audited.
+ * @returns {Array<Object>} GTM_TEMPLATES rows.
+ */
+function buildGTMTemplateInventory(raw, container, workspace) {
+  const templates = raw.templates || [];
+  const usageSources = (raw.tags || []).map(t => ({ label: `Tag: ${t.name}`, type: t.type }))
+    .concat((raw.variables || []).map(v => ({ label: `Variable: ${v.name}`, type: v.type })));
+
+  const rows = templates.map(template => {
+    const sections = parseGTMTemplateData(template.templateData);
+    const info = parseGTMTemplateJson(sections['___INFO___']) || {};
+    const permissions = parseGTMTemplateJson(sections['___WEB_PERMISSIONS___'] || sections['___SERVER_PERMISSIONS___']) || [];
+    const gallery = template.galleryReference;
+
+    // Tags and variables built from a template have type cvt_<containerId>_<templateId>
+    const usedBy = usageSources
+      .filter(s => s.type && s.type.startsWith('cvt_') && s.type.endsWith(`_${template.templateId}`))
+      .map(s => s.label);
+
+    const row = {
+      'Container Name': container.name,
+      'Container ID': container.containerId,
+      'Workspace': workspace.name,
+      'Template Name': template.name,
+      'Template ID': template.templateId,
+      'Template Type': info.type || 'N/A',
+      'Gallery Reference': gallery ? `${gallery.host || 'github.com'}/${gallery.owner}/${gallery.repository}` : 'Not from gallery',
+      'Gallery Version': gallery ? (gallery.version || 'N/A') : 'N/A',
+      'Modified From Gallery': gallery ? (gallery.isModified ? 'Yes' : 'No') : 'N/A',
+      'Used By': usedBy.join('; ') || 'Not used',
+      'Usage Count': usedBy.length,
+      'Permissions': permissions.map(p => getGTMPermissionId(p)).join(', ') || 'None',
+      'Injected Scripts': '',
+      'Pixel URLs': '',
+      'Globals': '',
+      'Cookies': '',
+      'Other Permissions': ''
+    };
+
+    const other = [];
+    permissions.forEach(permission => {
+      const id = getGTMPermissionId(permission);
+      const summary = summarizeGTMPermission(permission);
+      const column = GTM_TEMPLATE_PERMISSION_COLUMNS[id];
+      if (column) {
+        const prefix = column === 'Cookies' ? `${id === 'set_cookies' ? 'write' : 'read'}: ` : '';
+        row[column] = [row[column], prefix + (summary || 'any')].filter(Boolean).join('; ');
+      } else {
+        other.push(summary ? `${id} (${summary})` : id);
+      }
+    });
+    row['Other Permissions'] = other.join('; ');
+    Object.values(GTM_TEMPLATE_PERMISSION_COLUMNS).forEach(column => { row[column] = row[column] || 'N/A'; });
+
+    const observations = [];
+    if (usedBy.length === 0) observations.push('Unused template');
+    if (!gallery) observations.push('Not from gallery - review code');
+    if (gallery && gallery.isModified) observations.push('Modified after import - gallery updates not applied');
+    if (/(^|[\s,;])(\*|https?:\/\/\*\/?\*?)([\s,;]|$)/.test(row['Injected Scripts'])) observations.push('Can inject scripts from any URL');
+    if (row['Pixel URLs'] === 'any') observations.push('Can send pixels to any URL');
+    row['Observations'] = observations.join('; ') || 'N/A';
+
+    return row;
+  });
+
+  logEvent('GTM', `🧩 Custom templates in ${container.name}/${workspace.name}: ${rows.length}`);
+  return rows;
+}
+
+/**
+ * Splits templateData into its ___SECTION___ blocks.
+ * @param {string} templateData - Raw template file contents.
+ * @returns {Object} Map of section name -> text.
+ */
+function parseGTMTemplateData(templateData) {
+  const sections = {};
+  let current = null;
+  (templateData || '').split('\n').forEach(line => {
+    const header = line.trim().match(/^___[A-Z_]+___$/);
+    if (header) {
+      current = header[0];
+      sections[current] = '';
+    } else if (current) {
+      sections[current] += line + '\n';
+    }
+  });
+  return sections;
+}
+
+/**
+ * Parses a JSON template section.
+ * @param {string} text - Section text.
+ * @returns {*} Parsed value, or null if missing or invalid.
+ */
+function parseGTMTemplateJson(text) {
+  if (!text || !text.trim()) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Gets the permission name (e.g. inject_script) of a permission entry.
+ * @param {Object} permission - Entry of the permissions section.
+ * @returns {string} Permission public ID.
+ */
+function getGTMPermissionId(permission) {
+  return (permission.instance && permission.instance.key && permission.instance.key.publicId) || 'unknown';
+}
+
+/**
+ * Summarizes the configured values of a permission (URLs, global keys, cookie names...).
+ * @param {Object} permission - Entry of the permissions section.
+ * @returns {string} Readable summary, empty if the permission has no parameters.
+ */
+function summarizeGTMPermission(permission) {
+  const params = (permission.instance && permission.instance.param) || [];
+  const byKey = {};
+  params.forEach(p => { byKey[p.key] = describeGTMPermissionValue(p.value); });
+
+  // "specific" access modes are followed by their list; "any" is the only value that matters
+  const access = Object.keys(byKey).find(k => /^(allowedUrls|cookieAccess|allowedKeys)$/.test(k));
+  if (access && byKey[access] === 'any') return 'any';
+
+  const listKeys = Object.keys(byKey).filter(k => k !== access && byKey[k]);
+  if (listKeys.length === 1) return byKey[listKeys[0]];
+  return listKeys.map(k => `${k}: ${byKey[k]}`).join(', ');
+}
+
+/**
+ * Converts a typed permission value to text.
+ * Map values with a "key" entry (e.g. access_globals) are shown as key(flags).
+ * @param {Object} value - Typed value ({type, string|listItem|mapKey/mapValue|boolean}).
+ * @returns {string} Readable value.
+ */
+function describeGTMPermissionValue(value) {
+  if (!value) return '';
+  switch (value.type) {
+    case GTM_TEMPLATE_VALUE_TYPES.string:
+      return value.string || '';
+    case GTM_TEMPLATE_VALUE_TYPES.boolean:
+      return value.boolean ? 'true' : 'false';
+    case GTM_TEMPLATE_VALUE_TYPES.list:
+      return (value.listItem || []).map(describeGTMPermissionValue).filter(Boolean).join(', ');
+    case GTM_TEMPLATE_VALUE_TYPES.map: {
+      const entries = {};
+      (value.mapKey || []).forEach((k, i) => { entries[k.string] = (value.mapValue || [])[i]; });
+      const keyName = entries.key ? describeGTMPermissionValue(entries.key) : '';
+      const flags = Object.keys(entries).filter(k => k !== 'key' && entries[k] &&
+        entries[k].type === GTM_TEMPLATE_VALUE_TYPES.boolean && entries[k].boolean);
+      if (keyName) return flags.length > 0 ? `${keyName} (${flags.join('/')})` : keyName;
+      return Object.keys(entries).map(k => `${k}=${describeGTMPermissionValue(entries[k])}`).join(' ');
+    }
+    default:
+      return '';
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview GTM Trigger Validation Module.
+ * Validates trigger conditions and RegEx table patterns: invalid regex, catastrophic backtracking,
+ * short unanchored literals, contradictory AND conditions and case-sensitivity mismatches.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_TRIGGER_VALIDATION_HEADERS = [
+  'Container Name', 'Container ID', 'Workspace', 'Source Type', 'Source Name', 'Source ID',
+  'Condition', 'Severity', 'Issue', 'Recommendation'
+];
+
+// Built-in variables whose values are always lower case
+const GTM_LOWERCASE_VARIABLES = ['Page Hostname', 'Click Hostname'];
+
+// Operators compared case-sensitively by GTM
+const GTM_CASE_SENSITIVE_OPERATORS = ['equals', 'contains', 'startsWith', 'endsWith'];
+
+// Unanchored literal alternatives up to this length are flagged (e.g. "en" also matches "content")
+const GTM_REGEX_SHORT_LITERAL_LENGTH = 3;
+
+// =================================================================
+// VALIDATION REPORT (CALLED FROM THE GTM SYNC)
+// =================================================================
+
+/**
+ * Validates the triggers and RegEx table variables of a workspace.
+ * @param {Object} raw - Raw workspace entities ({triggers, variables, ...}).
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @param {Object} workspace - Workspace being audited.
+ * @returns {Array<Object>} GTM_TRIGGER_VALIDATION rows.
+ */
+function buildGTMTriggerValidation(raw, container, workspace) {
+  const rows = [];
+  const addRows = (sourceType, entity, id, issues) => {
+    issues.forEach(issue => rows.push({
+      'Container Name': container.name,
+      'Container ID': container.containerId,
+      'Workspace': workspace.name,
+      'Source Type': sourceType,
+      'Source Name': entity.name,
+      'Source ID': id,
+      'Condition': issue.condition,
+      'Severity': issue.severity,
+      'Issue': issue.issue,
+      'Recommendation': issue.recommendation
+    }));
+  };
+
+  (raw.triggers || []).forEach(trigger => addRows('Trigger', trigger, trigger.triggerId, validateGTMTriggerConditions(trigger)));
+  (raw.variables || []).filter(v => v.type === 'remm').forEach(variable => {
+    addRows('RegEx Table Variable', variable, variable.variableId, validateGTMRegexTable(variable));
+  });
+
+  logEvent('GTM', `🧪 Trigger validation ${container.name}/${workspace.name}: ${rows.length} issues`);
+  return rows;
+}
+
+/**
+ * Validates the conditions of a trigger.
+ * @param {Object} trigger - GTM trigger.
+ * @returns {Array<Object>} Issues as { condition, severity, issue, recommendation }.
+ */
+function validateGTMTriggerConditions(trigger) {
+  const issues = [];
+  const conditions = parseGTMTriggerConditions(trigger);
+  const describe = c => `${c.variable} ${c.negate ? 'not ' : ''}${c.operator} ${c.value}`;
+
+  conditions.forEach(condition => {
+    const label = describe(condition);
+    const variableName = (condition.variable.match(/^\{\{(.+)\}\}$/) || [])[1] || '';
+    const hasVariableValue = /\{\{.+\}\}/.test(condition.value);
+
+    if (condition.operator === 'matchRegex' && !hasVariableValue) {
+      validateGTMRegexPattern(condition.value, condition.ignoreCase, false).forEach(issue => {
+        issues.push(Object.assign({ condition: label }, issue));
+      });
+    }
+
+    // Hostnames are lower case: an upper-case value never matches
+    if (GTM_LOWERCASE_VARIABLES.includes(variableName) && !hasVariableValue && /[A-Z]/.test(condition.value) &&
+      (GTM_CASE_SENSITIVE_OPERATORS.includes(condition.operator) || (condition.operator === 'matchRegex' && !condition.ignoreCase))) {
+      issues.push({
+        condition: label,
+        severity: GTM_SEVERITY.high,
+        issue: `${variableName} is always lower case - this condition never matches`,
+        recommendation: 'Write the value in lower case'
+      });
+    } else if (GTM_CASE_SENSITIVE_OPERATORS.includes(condition.operator) && /[A-Z]/.test(condition.value) && /[a-z]/.test(condition.value) &&
+      /URL|Path|Text|Classes/i.test(variableName)) {
+      issues.push({
+        condition: label,
+        severity: GTM_SEVERITY.low,
+        issue: 'Case-sensitive comparison on a mixed-case value',
+        recommendation: 'Use "matches RegEx (ignore case)" if the casing can vary'
+      });
+    }
+  });
+
+  findGTMContradictoryConditions(conditions).forEach(contradiction => {
+    issues.push({
+      condition: `${describe(contradiction.a)} AND ${describe(contradiction.b)}`,
+      severity: GTM_SEVERITY.high,
+      issue: 'Contradictory conditions - the trigger can never fire',
+      recommendation: 'Conditions of one trigger are combined with AND; use a RegEx or separate triggers for OR'
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Validates the patterns of a RegEx table variable.
+ * @param {Object} variable - Variable of type remm.
+ * @returns {Array<Object>} Issues as { condition, severity, issue, recommendation }.
+ */
+function validateGTMRegexTable(variable) {
+  const issues = [];
+  const ignoreCase = getGTMParameterValue(variable, 'ignoreCase') === 'true';
+  const fullMatch = getGTMParameterValue(variable, 'fullMatch') === 'true';
+  const table = (variable.parameter || []).find(p => p.key === 'map');
+
+  ((table && table.list) || []).forEach((row, index) => {
+    const fields = {};
+    (row.map || []).forEach(f => { fields[f.key] = f.value; });
+    if (!fields.key || /\{\{.+\}\}/.test(fields.key)) return;
+    validateGTMRegexPattern(fields.key, ignoreCase, fullMatch).forEach(issue => {
+      issues.push(Object.assign({ condition: `Row ${index + 1}: ${fields.key}` }, issue));
+    });
+  });
+  return issues;
+}
+
+/**
+ * Validates a regular expression as GTM will run it (partial match unless fullMatch).
+ * @param {string} pattern - Regular expression source.
+ * @param {boolean} ignoreCase - Whether the pattern is case-insensitive.
+ * @param {boolean} fullMatch - Whether GTM anchors the pattern (RegEx table "Full matches only").
+ * @returns {Array<Object>} Issues as { severity, issue, recommendation }.
+ */
+function validateGTMRegexPattern(pattern, ignoreCase, fullMatch) {
+  const issues = [];
+  try {
+    new RegExp(pattern, ignoreCase ? 'i' : '');
+  } catch (e) {
+    return [{ severity: GTM_SEVERITY.high, issue: `Invalid regex: ${e.message}`, recommendation: 'Fix the pattern syntax - the condition currently never matches' }];
+  }
+
+  // A quantified group that itself contains a quantifier, e.g. (a+)+ or (.*)*
+  if (/\((?:[^()\\]|\\.)*[+*](?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,\d*\})/.test(pattern)) {
+    issues.push({ severity: GTM_SEVERITY.medium, issue: 'Nested quantifiers - prone to catastrophic backtracking', recommendation: 'Remove the inner or outer quantifier' });
+  }
+
+  // Only plain literals (or alternations of them) this short obviously over-match when unanchored
+  const shortLiterals = /^[\w-]+(\|[\w-]+)*$/.test(pattern) ?
+    pattern.split('|').filter(alt => alt.length <= GTM_REGEX_SHORT_LITERAL_LENGTH) : [];
+  if (!fullMatch && shortLiterals.length > 0) {
+    issues.push({ severity: GTM_SEVERITY.low, issue: `Short unanchored literal (${shortLiterals.join(', ')}) - matches any value containing it`, recommendation: 'Add ^ and $ if the whole value must match' });
+  }
+
+  // Literal dots (domains, file extensions) that match any character
+  if (/[a-z0-9]\.(com|net|org|io|co|es|de|fr|uk|html?|php|aspx?)\b/i.test(pattern.replace(/\\\./g, ''))) {
+    issues.push({ severity: GTM_SEVERITY.low, issue: 'Unescaped dot matches any character', recommendation: 'Escape literal dots as \\.' });
+  }
+
+  return issues;
+}
+
+/**
+ * Finds pairs of conditions on the same variable that cannot be true together.
+ * @param {Array<Object>} conditions - Conditions from parseGTMTriggerConditions.
+ * @returns {Array<Object>} Contradictions as { a, b }.
+ */
+function findGTMContradictoryConditions(conditions) {
+  const contradictions = [];
+  const byVariable = {};
+  conditions.filter(c => c.variable && !/\{\{.+\}\}/.test(c.value)).forEach(c => {
+    (byVariable[c.variable] = byVariable[c.variable] || []).push(c);
+  });
+
+  Object.keys(byVariable).forEach(variable => {
+    const group = byVariable[variable];
+    const equals = group.filter(c => c.operator === 'equals' && !c.negate);
+    if (equals.length === 0) return;
+
+    // With an "equals", the value is known: every other condition must accept it
+    const expected = equals[0];
+    group.filter(c => c !== expected && c.operator !== 'cssSelector').forEach(other => {
+      const outcome = evaluateGTMSimulatedCondition(other, () => ({ value: expected.value, resolved: true }));
+      if (!outcome.passed) contradictions.push({ a: expected, b: other });
+    });
+  });
+
+  return contradictions;
+}
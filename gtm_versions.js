@@ -0,0 +1,339 @@
+/**
+ * @fileoverview GTM Version History Module.
+ * Lists container version headers and diffs tags, triggers and variables between versions.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_VERSIONS_HEADERS = [
+  'Container Name', 'Container ID', 'Version ID', 'Version Name', 'Description',
+  'Version Date', 'Author', 'Live', 'Deleted', 'Tags', 'Triggers', 'Variables',
+  'Custom Templates', 'Version URL', 'Notes'
+];
+
+const GTM_VERSION_DIFF_HEADERS = [
+  'Container Name', 'Container ID', 'From Version', 'To Version', 'Entity Type',
+  'Entity ID', 'Entity Name', 'Change', 'Changed Fields', 'Details'
+];
+
+// =================================================================
+// VERSION HISTORY (CALLED FROM THE GTM SYNC)
+// =================================================================
+
+/**
+ * Gets the version history of a container as GTM_VERSIONS rows.
+ * Version headers carry no description or date, and full versions are only fetched by the diff
+ * tool: details come from the live version or from the previous GTM_VERSIONS rows.
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @param {Object|null} liveVersion - Live version already fetched by the sync.
+ * @param {Object} knownDetails - Map from getKnownGTMVersionDetails.
+ * @returns {Array<Object>} Version rows, newest first.
+ */
+function getGTMVersionHistory(container, liveVersion = null, knownDetails = {}) {
+  const auth = getAuthConfig('gtm');
+  const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
+  const containerPath = `accounts/${container.accountId}/containers/${container.containerId}`;
+
+  const headersUrl = `https://tagmanager.googleapis.com/tagmanager/v2/${containerPath}/version_headers?includeDeleted=true`;
+  const response = fetchWithRetry(headersUrl, options, 'GTM-VersionHeaders');
+  const versionHeaders = (response.containerVersionHeader || [])
+    .sort((a, b) => parseInt(b.containerVersionId) - parseInt(a.containerVersionId));
+
+  logEvent('GTM', `📚 Versions in ${container.name}: ${versionHeaders.length}`);
+
+  return versionHeaders.map(header => {
+    const isLive = !!(liveVersion && liveVersion.containerVersionId === header.containerVersionId);
+    const details = isLive ?
+      getGTMVersionDetails(liveVersion) :
+      knownDetails[`${container.containerId}|${header.containerVersionId}`] || null;
+    return processGTMVersionHeader(header, details, container, isLive);
+  });
+}
+
+/**
+ * Reads the version details already written to GTM_VERSIONS by previous audits.
+ * @returns {Object} Map of "containerId|versionId" -> { description, date, url }.
+ */
+function getKnownGTMVersionDetails() {
+  const known = {};
+  readSheetRecords('GTM_VERSIONS').forEach(row => {
+    if (!row['Version URL'] || row['Version URL'] === 'N/A') return;
+    known[`${row['Container ID']}|${row['Version ID']}`] = {
+      description: row['Description'],
+      date: row['Version Date'],
+      url: row['Version URL']
+    };
+  });
+  return known;
+}
+
+/**
+ * Extracts the GTM_VERSIONS details of a full container version.
+ * @param {Object} version - Full container version.
+ * @returns {Object} { description, date, url }.
+ */
+function getGTMVersionDetails(version) {
+  return {
+    description: version.description || '',
+    // The API exposes no publish timestamp; the fingerprint holds the version creation time
+    date: version.fingerprint ? formatDate(new Date(parseInt(version.fingerprint))) : 'N/A',
+    url: version.tagManagerUrl || 'N/A'
+  };
+}
+
+/**
+ * Gets a full container version (tags, triggers, variables...).
+ * @param {Object} container - Container with accountId and containerId.
+ * @param {string} versionId - Container version ID.
+ * @returns {Object} Container version.
+ */
+function getGTMContainerVersion(container, versionId) {
+  const auth = getAuthConfig('gtm');
+  const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
+  const versionUrl = `https://tagmanager.googleapis.com/tagmanager/v2/accounts/${container.accountId}/containers/${container.containerId}/versions/${versionId}`;
+  return fetchWithRetry(versionUrl, options, 'GTM-Version');
+}
+
+/**
+ * Processes a version header (and its details, when known) into a GTM_VERSIONS row.
+ * @param {Object} header - Version header from the API.
+ * @param {Object|null} details - { description, date, url }, null if not known.
+ * @param {Object} container - Container the version belongs to.
+ * @param {boolean} isLive - Whether the version is currently published.
+ * @returns {Object} GTM_VERSIONS row.
+ */
+function processGTMVersionHeader(header, details, container, isLive) {
+  const notes = [];
+  if (isLive) notes.push('Currently published');
+  if (header.deleted) notes.push('Deleted version');
+  if (details && !details.description) notes.push('No description');
+  if (!details && !header.deleted) notes.push('Details not fetched (never seen live) - use Compare GTM Versions');
+
+  return {
+    'Container Name': container.name || 'N/A',
+    'Container ID': container.containerId || 'N/A',
+    'Version ID': header.containerVersionId,
+    'Version Name': header.name || '(unnamed)',
+    'Description': details ? (details.description || '') : 'N/A',
+    'Version Date': details ? details.date : 'N/A',
+    'Author': 'Not exposed by the API',
+    'Live': isLive ? 'Yes' : 'No',
+    'Deleted': header.deleted ? 'Yes' : 'No',
+    'Tags': parseInt(header.numTags) || 0,
+    'Triggers': parseInt(header.numTriggers) || 0,
+    'Variables': parseInt(header.numVariables) || 0,
+    'Custom Templates': parseInt(header.numCustomTemplates) || 0,
+    'Version URL': details ? details.url : 'N/A',
+    'Notes': notes.join('; ') || 'N/A'
+  };
+}
+
+// =================================================================
+// VERSION DIFF (CALLED FROM MENU)
+// =================================================================
+
+/**
+ * Prompts for a container and two versions, then writes GTM_VERSION_DIFF.
+ * Called from menu: Extensions > Addocu > GTM Tools > Compare GTM Versions
+ */
+function runGTMVersionDiffWithUI() {
+  const ui = SpreadsheetApp.getUi();
+
+  const containerPrompt = ui.prompt(
+    'Compare GTM Versions',
+    'Container public ID (GTM-XXXXXX), numeric ID or name:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (containerPrompt.getSelectedButton() !== ui.Button.OK) return;
+
+  const versionsPrompt = ui.prompt(
+    'Compare GTM Versions',
+    'Two version numbers separated by a comma (e.g. "12, 15").\nLeave empty to compare the live version with the previous one:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (versionsPrompt.getSelectedButton() !== ui.Button.OK) return;
+
+  try {
+    SpreadsheetApp.getActiveSpreadsheet().toast('Comparing container versions...', 'GTM', 20);
+    const versionIds = versionsPrompt.getResponseText().split(',').map(v => v.trim()).filter(v => v.length > 0);
+    const result = compareGTMVersions(containerPrompt.getResponseText().trim(), versionIds[0], versionIds[1]);
+
+    ui.alert(
+      'GTM Versions Compared',
+      `${result.containerName}: v${result.fromVersion} → v${result.toVersion}\n\n` +
+      `Added: ${result.summary.Added} | Removed: ${result.summary.Removed} | Changed: ${result.summary.Changed}\n\n` +
+      'Details written to GTM_VERSION_DIFF.',
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    logError('GTM', `Version comparison failed: ${e.message}`);
+    ui.alert('GTM Error', `Version comparison failed: ${e.message}`, ui.ButtonSet.OK);
+  } finally {
+    flushLogs();
+  }
+}
+
+/**
+ * Compares two versions of a container and writes the differences to GTM_VERSION_DIFF.
+ * @param {string} containerRef - Public ID, numeric container ID or container name.
+ * @param {string} [fromVersionId] - Older version. Defaults to the version before toVersionId.
+ * @param {string} [toVersionId] - Newer version. Defaults to the live version.
+ * @returns {Object} Comparison summary.
+ */
+function compareGTMVersions(containerRef, fromVersionId, toVersionId) {
+  const container = findGTMContainer(containerRef);
+
+  let toVersion;
+  if (toVersionId) {
+    toVersion = getGTMContainerVersion(container, toVersionId);
+  } else {
+    toVersion = getLiveGTMVersion(container);
+    if (!toVersion) throw new Error(`Container ${container.name} has no live version to compare`);
+  }
+
+  if (!fromVersionId) {
+    fromVersionId = findPreviousGTMVersionId(container, toVersion.containerVersionId);
+    if (!fromVersionId) throw new Error(`No version found before v${toVersion.containerVersionId}`);
+  }
+  const fromVersion = getGTMContainerVersion(container, fromVersionId);
+
+  // Always diff from the older to the newer version
+  let older = fromVersion;
+  let newer = toVersion;
+  if (parseInt(older.containerVersionId) > parseInt(newer.containerVersionId)) {
+    older = toVersion;
+    newer = fromVersion;
+  }
+
+  const rows = diffGTMVersions(older, newer, container);
+  writeDataToSheet('GTM_VERSION_DIFF', GTM_VERSION_DIFF_HEADERS, rows, 'GTM');
+
+  const summary = { Added: 0, Removed: 0, Changed: 0 };
+  rows.forEach(r => { summary[r['Change']]++; });
+
+  logEvent('GTM', `🔀 ${container.name} v${older.containerVersionId} → v${newer.containerVersionId}: ${rows.length} differences`);
+
+  return {
+    containerName: container.name,
+    fromVersion: older.containerVersionId,
+    toVersion: newer.containerVersionId,
+    summary: summary
+  };
+}
+
+/**
+ * Finds an accessible container by public ID, numeric ID or name.
+ * @param {string} containerRef - Container reference entered by the user.
+ * @returns {Object} Container from getAllGTMContainers.
+ */
+function findGTMContainer(containerRef) {
+  if (!containerRef) throw new Error('No container specified');
+
+  const ref = containerRef.toLowerCase();
+  const container = getAllGTMContainers().find(c =>
+    (c.publicId && c.publicId.toLowerCase() === ref) ||
+    c.containerId === containerRef ||
+    (c.name && c.name.toLowerCase() === ref)
+  );
+
+  if (!container) throw new Error(`Container "${containerRef}" not found or not accessible`);
+  return container;
+}
+
+/**
+ * Returns the highest non-deleted version ID lower than the given one.
+ */
+function findPreviousGTMVersionId(container, versionId) {
+  const auth = getAuthConfig('gtm');
+  const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
+  const headersUrl = `https://tagmanager.googleapis.com/tagmanager/v2/accounts/${container.accountId}/containers/${container.containerId}/version_headers`;
+  const response = fetchWithRetry(headersUrl, options, 'GTM-VersionHeaders');
+
+  const previous = (response.containerVersionHeader || [])
+    .filter(h => !h.deleted && parseInt(h.containerVersionId) < parseInt(versionId))
+    .sort((a, b) => parseInt(b.containerVersionId) - parseInt(a.containerVersionId));
+
+  return previous.length > 0 ? previous[0].containerVersionId : null;
+}
+
+/**
+ * Diffs the tags, triggers and variables of two container versions.
+ * @param {Object} older - Older container version.
+ * @param {Object} newer - Newer container version.
+ * @param {Object} container - Container the versions belong to.
+ * @returns {Array<Object>} GTM_VERSION_DIFF rows.
+ */
+function diffGTMVersions(older, newer, container) {
+  const entityTypes = [
+    { label: 'Tag', listKey: 'tag', idKey: 'tagId' },
+    { label: 'Trigger', listKey: 'trigger', idKey: 'triggerId' },
+    { label: 'Variable', listKey: 'variable', idKey: 'variableId' }
+  ];
+  const rows = [];
+
+  const baseRow = {
+    'Container Name': container.name || 'N/A',
+    'Container ID': container.containerId || 'N/A',
+    'From Version': older.containerVersionId,
+    'To Version': newer.containerVersionId
+  };
+
+  entityTypes.forEach(({ label, listKey, idKey }) => {
+    const before = {};
+    const after = {};
+    (older[listKey] || []).forEach(e => { before[e[idKey]] = e; });
+    (newer[listKey] || []).forEach(e => { after[e[idKey]] = e; });
+
+    Object.keys(after).forEach(id => {
+      const entity = after[id];
+      if (!before[id]) {
+        rows.push({ ...baseRow, 'Entity Type': label, 'Entity ID': id, 'Entity Name': entity.name, 'Change': 'Added', 'Changed Fields': '-', 'Details': `Type: ${entity.type}` });
+        return;
+      }
+      const changedFields = getChangedGTMFields(before[id], entity);
+      if (changedFields.length > 0) {
+        const details = before[id].name !== entity.name ? `Renamed from "${before[id].name}"` : `Type: ${entity.type}`;
+        rows.push({ ...baseRow, 'Entity Type': label, 'Entity ID': id, 'Entity Name': entity.name, 'Change': 'Changed', 'Changed Fields': changedFields.join(', '), 'Details': details });
+      }
+    });
+
+    Object.keys(before).filter(id => !after[id]).forEach(id => {
+      rows.push({ ...baseRow, 'Entity Type': label, 'Entity ID': id, 'Entity Name': before[id].name, 'Change': 'Removed', 'Changed Fields': '-', 'Details': `Type: ${before[id].type}` });
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Lists the fields that differ between two versions of the same entity.
+ * Parameters are compared one by one so the changed parameter keys are reported.
+ * @returns {Array<string>} Changed field names (parameters as "parameter.<key>").
+ */
+function getChangedGTMFields(before, after) {
+  const changed = [];
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    if (GTM_VOLATILE_FIELDS.includes(key)) return;
+
+    if (key === 'parameter') {
+      const paramsBefore = {};
+      const paramsAfter = {};
+      (before.parameter || []).forEach(p => { paramsBefore[p.key] = normalizeGTMEntity(p); });
+      (after.parameter || []).forEach(p => { paramsAfter[p.key] = normalizeGTMEntity(p); });
+      new Set([...Object.keys(paramsBefore), ...Object.keys(paramsAfter)]).forEach(paramKey => {
+        if (paramsBefore[paramKey] !== paramsAfter[paramKey]) changed.push(`parameter.${paramKey}`);
+      });
+      return;
+    }
+
+    if (normalizeGTMEntity({ v: before[key] }) !== normalizeGTMEntity({ v: after[key] })) {
+      changed.push(key);
+    }
+  });
+
+  return changed;
+}
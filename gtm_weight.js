@@ -0,0 +1,197 @@
+/**
+ * @fileoverview GTM Container Weight Module.
+ * Estimates the payload size of each live container from its published version, breaks it down
+ * by vendor, Custom HTML, Custom JavaScript and templates, and tracks the size across audits.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_WEIGHT_HEADERS = [
+  'Container Name', 'Container ID', 'Public ID', 'Live Version', 'Estimated Size (KB)', 'Size Limit Usage',
+  'Tags', 'Tags by Vendor', 'Custom HTML Tags', 'Custom HTML (KB)', 'Custom JS Variables', 'Custom JS (KB)',
+  'Triggers', 'Variables', 'Custom Templates', 'Templates (KB)', 'Previous Audit', 'Previous Size (KB)',
+  'Change (KB)', 'Trend', 'Status', 'Observations'
+];
+
+const GTM_WEIGHT_HISTORY_SHEET = 'GTM_WEIGHT_HISTORY';
+
+const GTM_WEIGHT_HISTORY_HEADERS = [
+  'Timestamp', 'Container Name', 'Container ID', 'Live Version', 'Estimated Size (KB)', 'Tags',
+  'Custom HTML (KB)', 'Custom JS (KB)', 'Custom Templates'
+];
+
+// GTM refuses to publish containers over 200 KB and warns from 70% of the limit
+const GTM_CONTAINER_SIZE_LIMIT_KB = 200;
+const GTM_CONTAINER_SIZE_WARNING_RATIO = 0.7;
+
+// Version entities that are compiled into the container payload
+const GTM_WEIGHT_ENTITY_KEYS = ['tag', 'trigger', 'variable', 'builtInVariable', 'customTemplate', 'zone', 'client', 'transformation'];
+
+// Fields that are not part of the payload served to the browser
+const GTM_WEIGHT_IGNORED_FIELDS = ['notes', 'parentFolderId', 'tagManagerUrl', 'fingerprint', 'path'];
+
+// =================================================================
+// CONTAINER WEIGHT (CALLED FROM THE GTM SYNC)
+// =================================================================
+
+/**
+ * Estimates the weight of a container's live version.
+ * @param {Object|null} liveVersion - Live container version, null if never published.
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @param {Object} previousSnapshots - Last GTM_WEIGHT_HISTORY entry by container ID.
+ * @returns {Object} GTM_WEIGHT row.
+ */
+function buildGTMContainerWeight(liveVersion, container, previousSnapshots) {
+  const previous = (previousSnapshots || {})[container.containerId] || null;
+  const row = {
+    'Container Name': container.name,
+    'Container ID': container.containerId,
+    'Public ID': container.publicId || 'N/A',
+    'Live Version': liveVersion ? liveVersion.containerVersionId : 'N/A',
+    'Previous Audit': previous ? formatDate(new Date(previous.timestamp)) : 'N/A',
+    'Previous Size (KB)': previous ? previous.sizeKb : 'N/A'
+  };
+
+  if (!liveVersion) {
+    GTM_WEIGHT_HEADERS.filter(h => row[h] === undefined).forEach(h => { row[h] = 'N/A'; });
+    row['Status'] = 'Not published';
+    return row;
+  }
+
+  const tags = liveVersion.tag || [];
+  const variables = liveVersion.variable || [];
+  const templates = liveVersion.customTemplate || [];
+  const customHtmlTags = tags.filter(t => t.type === 'html');
+  const customJsVariables = variables.filter(v => v.type === 'jsm');
+
+  const payload = {};
+  GTM_WEIGHT_ENTITY_KEYS.forEach(key => { payload[key] = liveVersion[key] || []; });
+  const sizeKb = toGTMKilobytes(getGTMByteSize(JSON.stringify(payload, (key, value) =>
+    GTM_WEIGHT_IGNORED_FIELDS.includes(key) || GTM_VOLATILE_FIELDS.includes(key) ? undefined : value)));
+  const usage = sizeKb / GTM_CONTAINER_SIZE_LIMIT_KB;
+
+  const vendors = {};
+  tags.forEach(tag => {
+    const vendor = getGTMTagVendor(tag).vendor;
+    vendors[vendor] = (vendors[vendor] || 0) + 1;
+  });
+
+  const customHtmlKb = toGTMKilobytes(customHtmlTags.reduce((sum, t) => sum + getGTMByteSize(getGTMParameterValue(t, 'html')), 0));
+  const customJsKb = toGTMKilobytes(customJsVariables.reduce((sum, v) => sum + getGTMByteSize(getGTMParameterValue(v, 'javascript')), 0));
+  const templatesKb = toGTMKilobytes(templates.reduce((sum, t) => sum + getGTMByteSize(t.templateData), 0));
+
+  let status = 'OK';
+  if (usage >= 1) status = 'Over limit';
+  else if (usage >= GTM_CONTAINER_SIZE_WARNING_RATIO) status = 'Approaching limit';
+
+  const change = previous ? Math.round((sizeKb - previous.sizeKb) * 10) / 10 : null;
+  let trend = 'First audit';
+  if (change !== null) trend = change > 0 ? '↑ Growing' : change < 0 ? '↓ Shrinking' : '= Stable';
+
+  const observations = [];
+  if (status !== 'OK') observations.push(`Uses ${Math.round(usage * 100)}% of the ${GTM_CONTAINER_SIZE_LIMIT_KB} KB limit`);
+  if (customHtmlKb > sizeKb / 3) observations.push('Custom HTML is over a third of the container');
+  if (previous && previous.sizeKb > 0 && change / previous.sizeKb > 0.1) observations.push('Grew more than 10% since the previous audit');
+
+  Object.assign(row, {
+    'Estimated Size (KB)': sizeKb,
+    'Size Limit Usage': `${Math.round(usage * 100)}%`,
+    'Tags': tags.length,
+    'Tags by Vendor': Object.keys(vendors).sort((a, b) => vendors[b] - vendors[a]).map(v => `${v}: ${vendors[v]}`).join(', ') || 'None',
+    'Custom HTML Tags': customHtmlTags.length,
+    'Custom HTML (KB)': customHtmlKb,
+    'Custom JS Variables': customJsVariables.length,
+    'Custom JS (KB)': customJsKb,
+    'Triggers': (liveVersion.trigger || []).length,
+    'Variables': variables.length,
+    'Custom Templates': templates.length,
+    'Templates (KB)': templatesKb,
+    'Change (KB)': change !== null ? change : 'N/A',
+    'Trend': trend,
+    'Status': status,
+    'Observations': observations.join('; ') || 'N/A'
+  });
+
+  logEvent('GTM', `⚖️ ${container.name} v${liveVersion.containerVersionId}: ~${sizeKb} KB`);
+  return row;
+}
+
+/**
+ * Counts the UTF-8 bytes of a string.
+ * @param {string} text - Text to measure.
+ * @returns {number} Size in bytes.
+ */
+function getGTMByteSize(text) {
+  if (!text) return 0;
+  return encodeURIComponent(text).replace(/%[0-9A-F]{2}/gi, 'x').length;
+}
+
+/**
+ * Converts bytes to kilobytes with one decimal.
+ * @param {number} bytes - Size in bytes.
+ * @returns {number} Size in KB.
+ */
+function toGTMKilobytes(bytes) {
+  return Math.round(bytes / 102.4) / 10;
+}
+
+// =================================================================
+// WEIGHT HISTORY
+// =================================================================
+
+/**
+ * Reads the most recent GTM_WEIGHT_HISTORY entry of each container.
+ * @returns {Object} Map of containerId -> { timestamp, sizeKb }.
+ */
+function getLastGTMWeightSnapshots() {
+  const snapshots = {};
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GTM_WEIGHT_HISTORY_SHEET);
+  if (!sheet || sheet.getLastRow() <= 1) return snapshots;
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const col = {
+    timestamp: headers.indexOf('Timestamp'),
+    containerId: headers.indexOf('Container ID'),
+    sizeKb: headers.indexOf('Estimated Size (KB)')
+  };
+
+  // Rows are appended in order, so later rows overwrite earlier ones
+  for (let i = 1; i < data.length; i++) {
+    const sizeKb = parseFloat(data[i][col.sizeKb]);
+    if (isNaN(sizeKb)) continue;
+    snapshots[String(data[i][col.containerId])] = { timestamp: data[i][col.timestamp], sizeKb: sizeKb };
+  }
+  return snapshots;
+}
+
+/**
+ * Appends the weight of each published container to GTM_WEIGHT_HISTORY.
+ * @param {Array<Object>} weightRows - GTM_WEIGHT rows of the current audit.
+ */
+function recordGTMWeightHistory(weightRows) {
+  try {
+    const rows = (weightRows || []).filter(r => typeof r['Estimated Size (KB)'] === 'number');
+    if (rows.length === 0) return;
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let historySheet = ss.getSheetByName(GTM_WEIGHT_HISTORY_SHEET);
+    if (!historySheet) {
+      historySheet = ss.insertSheet(GTM_WEIGHT_HISTORY_SHEET);
+      historySheet.getRange(1, 1, 1, GTM_WEIGHT_HISTORY_HEADERS.length).setValues([GTM_WEIGHT_HISTORY_HEADERS]);
+    }
+
+    const now = new Date();
+    const snapshots = rows.map(r => [
+      now, r['Container Name'], r['Container ID'], r['Live Version'], r['Estimated Size (KB)'],
+      r['Tags'], r['Custom HTML (KB)'], r['Custom JS (KB)'], r['Custom Templates']
+    ]);
+    historySheet.getRange(historySheet.getLastRow() + 1, 1, snapshots.length, GTM_WEIGHT_HISTORY_HEADERS.length).setValues(snapshots);
+
+    logEvent('GTM', `Container weight history recorded for ${snapshots.length} containers`);
+  } catch (error) {
+    logError('GTM', `Error recording container weight history: ${error.message}`);
+  }
+}
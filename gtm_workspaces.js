@@ -0,0 +1,146 @@
+/**
+ * @fileoverview GTM Workspace Hygiene Module.
+ * Lists every workspace of a container with its pending changes, and flags stale workspaces,
+ * merge conflicts and entities modified in more than one workspace.
+ */
+
+// =================================================================
+// MODULE CONSTANTS
+// =================================================================
+
+const GTM_WORKSPACES_HEADERS = [
+  'Container Name', 'Container ID', 'Workspace', 'Workspace ID', 'Description', 'Last Modified',
+  'Days Since Modified', 'Oldest Pending Change', 'Pending Work Age (days)', 'Pending Changes',
+  'Added', 'Updated', 'Deleted', 'Merge Conflicts', 'Also Modified Elsewhere', 'Status', 'Observations'
+];
+
+// Entity keys of a workspaceChange and the ID shared by all workspaces of the container
+const GTM_WORKSPACE_ENTITY_TYPES = [
+  { key: 'tag', label: 'Tag', idKey: 'tagId' },
+  { key: 'trigger', label: 'Trigger', idKey: 'triggerId' },
+  { key: 'variable', label: 'Variable', idKey: 'variableId' },
+  { key: 'folder', label: 'Folder', idKey: 'folderId' },
+  { key: 'builtInVariable', label: 'Built-in Variable', idKey: 'type' },
+  { key: 'customTemplate', label: 'Custom Template', idKey: 'templateId' },
+  { key: 'zone', label: 'Zone', idKey: 'zoneId' },
+  { key: 'client', label: 'Client', idKey: 'clientId' },
+  { key: 'transformation', label: 'Transformation', idKey: 'transformationId' }
+];
+
+const GTM_DEFAULT_STALE_WORKSPACE_DAYS = 30;
+
+// =================================================================
+// WORKSPACE HYGIENE (CALLED FROM THE GTM SYNC)
+// =================================================================
+
+/**
+ * Builds the workspace hygiene report of a container. All workspaces are listed,
+ * regardless of the workspace filter used for the rest of the audit.
+ * @param {Object} container - Container from getAllGTMContainers.
+ * @returns {Array<Object>} GTM_WORKSPACES rows.
+ */
+function buildGTMWorkspaceHygiene(container) {
+  const auth = getAuthConfig('gtm');
+  const options = { method: 'GET', headers: auth.headers, muteHttpExceptions: true };
+  const staleDays = getGTMStaleWorkspaceDays();
+  const now = Date.now();
+
+  const workspaces = listGTMWorkspaces(container).map(workspace => {
+    let status = {};
+    try {
+      status = fetchWithRetry(`https://tagmanager.googleapis.com/tagmanager/v2/${workspace.path}/status`, options, 'GTM-WorkspaceStatus');
+      Utilities.sleep(200);
+    } catch (e) {
+      logWarning('GTM', `Could not get status of workspace ${workspace.name} in ${container.name}: ${e.message}`);
+    }
+    return { workspace, changes: (status.workspaceChange || []).map(describeGTMWorkspaceChange), conflicts: status.mergeConflict || [] };
+  });
+
+  // Entities changed in several workspaces will conflict when the second one is published
+  const modifiedIn = {};
+  workspaces.forEach(({ workspace, changes }) => {
+    changes.filter(c => c.changeStatus !== 'added').forEach(c => {
+      (modifiedIn[c.key] = modifiedIn[c.key] || new Set()).add(workspace.name);
+    });
+  });
+
+  const rows = workspaces.map(({ workspace, changes, conflicts }) => {
+    const count = status => changes.filter(c => c.changeStatus === status).length;
+    const timestamps = changes.map(c => c.timestamp).filter(t => t > 0);
+    const lastModified = Math.max(parseInt(workspace.fingerprint) || 0, ...timestamps);
+    const oldestChange = timestamps.length > 0 ? Math.min(...timestamps) : 0;
+    const daysSinceModified = lastModified ? Math.floor((now - lastModified) / 86400000) : null;
+
+    const overlapping = changes.filter(c => c.changeStatus !== 'added' && modifiedIn[c.key] && modifiedIn[c.key].size > 1)
+      .map(c => `${c.label}: ${c.name} (also in ${[...modifiedIn[c.key]].filter(n => n !== workspace.name).join(', ')})`);
+
+    const observations = [];
+    // An empty Default Workspace is the normal state after publishing, not a leftover
+    const isDefault = workspace.name === 'Default Workspace';
+    const isStale = daysSinceModified !== null && daysSinceModified > staleDays && !(isDefault && changes.length === 0);
+    if (isStale && changes.length > 0) observations.push(`Untouched for over ${staleDays} days with unpublished changes`);
+    if (isStale && changes.length === 0) observations.push(`Untouched for over ${staleDays} days and empty - can be deleted`);
+    if (conflicts.length > 0) observations.push('Merge conflicts - update the workspace before publishing');
+    if (overlapping.length > 0) observations.push('Entities also modified in another workspace - future merge conflict');
+
+    let hygieneStatus = changes.length > 0 ? 'Pending Changes' : 'Clean';
+    if (overlapping.length > 0) hygieneStatus = 'Overlapping Changes';
+    if (isStale) hygieneStatus = 'Stale';
+    if (conflicts.length > 0) hygieneStatus = 'Merge Conflict';
+
+    return {
+      'Container Name': container.name,
+      'Container ID': container.containerId,
+      'Workspace': workspace.name,
+      'Workspace ID': workspace.workspaceId,
+      'Description': workspace.description || 'N/A',
+      'Last Modified': lastModified ? formatDate(new Date(lastModified)) : 'N/A',
+      'Days Since Modified': daysSinceModified !== null ? daysSinceModified : 'N/A',
+      // The API exposes no creation date: the oldest unpublished change tells how old the pending work is
+      'Oldest Pending Change': oldestChange ? formatDate(new Date(oldestChange)) : 'N/A',
+      'Pending Work Age (days)': oldestChange ? Math.floor((now - oldestChange) / 86400000) : 'N/A',
+      'Pending Changes': changes.length,
+      'Added': count('added'),
+      'Updated': count('updated'),
+      'Deleted': count('deleted'),
+      'Merge Conflicts': conflicts.length,
+      'Also Modified Elsewhere': truncateGTMUsedBy(overlapping) || 'None',
+      'Status': hygieneStatus,
+      'Observations': observations.join('; ') || 'N/A'
+    };
+  });
+
+  logEvent('GTM', `🧹 Workspaces in ${container.name}: ${rows.length} (${rows.filter(r => r['Status'] === 'Stale').length} stale)`);
+  return rows;
+}
+
+/**
+ * Describes a workspace change (status plus the changed entity).
+ * @param {Object} change - Entry of the workspace status workspaceChange list.
+ * @returns {Object} Change as { changeStatus, key, label, name, timestamp }.
+ */
+function describeGTMWorkspaceChange(change) {
+  const type = GTM_WORKSPACE_ENTITY_TYPES.find(t => change[t.key]) || { key: 'unknown', label: 'Unknown', idKey: 'name' };
+  const entity = change[type.key] || {};
+  return {
+    changeStatus: change.changeStatus || 'changeStatusUnspecified',
+    key: `${type.key}|${entity[type.idKey] || entity.name}`,
+    label: type.label,
+    name: entity.name || entity.type || 'N/A',
+    // Entity fingerprints are the time of their last modification
+    timestamp: parseInt(entity.fingerprint) || 0
+  };
+}
+
+/**
+ * Gets the number of days after which a workspace is considered stale.
+ * @returns {number} Days (default: 30).
+ */
+function getGTMStaleWorkspaceDays() {
+  try {
+    const days = parseInt(PropertiesService.getUserProperties().getProperty('ADDOCU_GTM_STALE_WORKSPACE_DAYS'));
+    return days > 0 ? days : GTM_DEFAULT_STALE_WORKSPACE_DAYS;
+  } catch (e) {
+    return GTM_DEFAULT_STALE_WORKSPACE_DAYS;
+  }
+}
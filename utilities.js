@@ -985,6 +985,24 @@ function getSheetRecordCount(sheetName) {
   }
 }
 
+/**
+ * Reads a sheet as objects keyed by its header row.
+ * @param {string} sheetName - Sheet to read.
+ * @returns {Array<Object>} One object per data row, empty if the sheet is missing or empty.
+ */
+function readSheetRecords(sheetName) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  return data.slice(1).map(row => {
+    const record = {};
+    headers.forEach((header, i) => { record[header] = row[i]; });
+    return record;
+  });
+}
+
 // =================================================================
 // DIAGNOSTICS AND VALIDATION
 // =================================================================